@@ -0,0 +1,39 @@
+// Social and single sign-on providers, offered once their client ID is set.
+//
+// OpenID Connect providers (`type: 'oidc'`) find their endpoints and signing
+// keys from the issuer's discovery document, so any standard issuer works
+// as `oidc`, including the mock issuer in scripts/mockOidcIssuer.js. GitHub
+// only speaks OAuth 2.0, so its endpoints are listed here.
+const getProviderConfig = () => ({
+  google: {
+    name: 'Google',
+    type: 'oidc',
+    issuer: 'https://accounts.google.com',
+    clientId: process.env.GOOGLE_CLIENT_ID,
+    clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+    scope: 'openid email profile'
+  },
+  github: {
+    name: 'GitHub',
+    type: 'github',
+    authorizationEndpoint: 'https://github.com/login/oauth/authorize',
+    tokenEndpoint: 'https://github.com/login/oauth/access_token',
+    userEndpoint: 'https://api.github.com/user',
+    emailsEndpoint: 'https://api.github.com/user/emails',
+    clientId: process.env.GITHUB_CLIENT_ID,
+    clientSecret: process.env.GITHUB_CLIENT_SECRET,
+    scope: 'read:user user:email'
+  },
+  oidc: {
+    name: process.env.OIDC_NAME || 'Single sign-on',
+    type: 'oidc',
+    issuer: process.env.OIDC_ISSUER,
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET,
+    scope: 'openid email profile'
+  }
+});
+
+module.exports = {
+  getProviderConfig
+};
@@ -0,0 +1,29 @@
+// Permissions staff roles can be granted, and the built-in roles.
+//
+// Custom roles (models/Role.js) are made of these permissions. The built-in
+// roles cannot be changed: `user` is a customer with no staff permissions
+// and `admin` has every permission.
+const permissions = {
+  'orders:read': 'View all orders, order stats and returns',
+  'orders:update': 'Change order status and handle returns',
+  'orders:refund': 'Refund orders and returns',
+  'products:write': 'Create, edit and delete products and see stock levels',
+  'reviews:moderate': 'Approve, hide and handle reported product reviews',
+  'users:manage': 'View, edit and deactivate users and see lockouts',
+  'users:impersonate': 'Sign in as a customer to see what they see',
+  'roles:manage': 'Create roles and assign them to users',
+  'coupons:manage': 'Create and edit coupons',
+  'shipping:manage': 'Edit shipping zones and rates',
+  'analytics:view': 'View dashboards, analytics and exports',
+  'audit:view': 'View and export the audit log'
+};
+
+const builtInRoles = {
+  user: [],
+  admin: Object.keys(permissions)
+};
+
+module.exports = {
+  permissions,
+  builtInRoles
+};
@@ -0,0 +1,35 @@
+// Tax table used by the local tax provider.
+//
+// Each rule applies to addresses in `country` (ISO code, see
+// utils/address.js), optionally narrowed to a `state` and to zip codes
+// starting with one of `zipPrefixes`. Rules with `categories` only apply to
+// products in those categories and take precedence over the general rule of
+// the same jurisdiction. Rates from different jurisdictions (e.g. state and
+// county) add up.
+module.exports = {
+  rules: [
+    // United States (state level)
+    { jurisdiction: 'US-CA', country: 'US', state: 'CA', rate: 0.0725 },
+    { jurisdiction: 'US-CA', country: 'US', state: 'CA', categories: ['Food & Beverages'], rate: 0 },
+    { jurisdiction: 'US-NY', country: 'US', state: 'NY', rate: 0.04 },
+    { jurisdiction: 'US-NY', country: 'US', state: 'NY', categories: ['Food & Beverages'], rate: 0 },
+    { jurisdiction: 'US-TX', country: 'US', state: 'TX', rate: 0.0625 },
+    { jurisdiction: 'US-WA', country: 'US', state: 'WA', rate: 0.065 },
+    { jurisdiction: 'US-IL', country: 'US', state: 'IL', rate: 0.0625 },
+    { jurisdiction: 'US-IL', country: 'US', state: 'IL', categories: ['Food & Beverages', 'Health & Beauty'], rate: 0.01 },
+
+    // United States (local)
+    { jurisdiction: 'US-NY-NYC', country: 'US', state: 'NY', zipPrefixes: ['100', '101', '102', '103', '104', '111', '112', '113', '114', '116'], rate: 0.045 },
+    { jurisdiction: 'US-CA-LA', country: 'US', state: 'CA', zipPrefixes: ['900', '901'], rate: 0.0225 },
+
+    // Canada
+    { jurisdiction: 'CA-GST', country: 'CA', rate: 0.05 },
+    { jurisdiction: 'CA-ON-HST', country: 'CA', state: 'ON', rate: 0.08 },
+
+    // Europe (VAT)
+    { jurisdiction: 'GB-VAT', country: 'GB', rate: 0.2 },
+    { jurisdiction: 'GB-VAT', country: 'GB', categories: ['Books & Media', 'Food & Beverages'], rate: 0 },
+    { jurisdiction: 'DE-VAT', country: 'DE', rate: 0.19 },
+    { jurisdiction: 'DE-VAT', country: 'DE', categories: ['Books & Media', 'Food & Beverages'], rate: 0.07 }
+  ]
+};
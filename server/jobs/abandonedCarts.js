@@ -0,0 +1,138 @@
+const User = require('../models/User');
+const Coupon = require('../models/Coupon');
+const CartRecovery = require('../models/CartRecovery');
+const { queueMail } = require('../services/mail');
+const { roundPrice } = require('../utils/money');
+const { reviewCart } = require('../services/cart');
+const {
+  getRecoveryDays,
+  createRecoveryCoupon,
+  getRecoveryLink
+} = require('../services/cartRecovery');
+
+const HOUR = 60 * 60 * 1000;
+
+// Carts nothing has been added to for this long count as abandoned
+const getIdleThreshold = () => (parseFloat(process.env.ABANDONED_CART_HOURS) || 24) * HOUR;
+
+// Users who want notifications and whose cart has been idle past the
+// threshold. Each cart is only emailed about once, so carts that already
+// had a recovery email since they were last added to are left out.
+const findAbandonedCarts = async () => {
+  const cutoff = new Date(Date.now() - getIdleThreshold());
+
+  const users = await User.find({
+    isActive: true,
+    'preferences.notifications': true,
+    'cart.0': { $exists: true },
+    'cart.addedAt': { $not: { $gt: cutoff } }
+  }).limit(100);
+
+  const abandoned = [];
+
+  for (const user of users) {
+    const lastActivityAt = new Date(Math.max(...user.cart.map(item => item.addedAt)));
+
+    const alreadyEmailed = await CartRecovery.exists({
+      user: user._id,
+      lastActivityAt: { $gte: lastActivityAt },
+      status: { $ne: 'failed' }
+    });
+
+    if (!alreadyEmailed) {
+      abandoned.push({ user, lastActivityAt });
+    }
+  }
+
+  return abandoned;
+};
+
+// Email one user about their abandoned cart
+const sendRecoveryEmail = async (user, lastActivityAt) => {
+  const lines = (await reviewCart(user.cart)).filter(line => typeof line.unitPrice === 'number');
+
+  // Nothing in the cart can be bought any more
+  if (lines.length === 0) {
+    return null;
+  }
+
+  const coupon = await createRecoveryCoupon(user);
+
+  const recovery = await CartRecovery.create({
+    user: user._id,
+    email: user.email,
+    items: user.cart.map(item => ({
+      product: item.product,
+      variant: item.variant,
+      quantity: item.quantity,
+      priceAtAdd: item.priceAtAdd
+    })),
+    cartValue: roundPrice(lines.reduce((total, line) => total + line.unitPrice * line.quantity, 0)),
+    lastActivityAt,
+    coupon: coupon ? coupon._id : undefined,
+    couponCode: coupon ? coupon.code : undefined,
+    expiresAt: new Date(Date.now() + getRecoveryDays() * 24 * HOUR)
+  });
+
+  try {
+    await queueMail('cartRecovery', user.email, {
+      firstName: user.firstName,
+      items: lines.map(line => ({
+        name: line.name,
+        quantity: line.quantity,
+        price: line.unitPrice
+      })),
+      recoveryUrl: getRecoveryLink(recovery),
+      coupon: coupon ? { code: coupon.code, percent: coupon.value } : null,
+      validDays: getRecoveryDays()
+    });
+
+    recovery.status = 'sent';
+    recovery.sentAt = new Date();
+  } catch (error) {
+    // The cart is retried on the next run; the unused coupon goes
+    recovery.status = 'failed';
+    recovery.failureReason = error.message;
+    if (coupon) {
+      await Coupon.updateOne({ _id: coupon._id }, { isActive: false });
+    }
+  }
+
+  await recovery.save();
+  return recovery;
+};
+
+// Send recovery emails for every abandoned cart found
+const processAbandonedCarts = async () => {
+  const abandoned = await findAbandonedCarts();
+
+  for (const { user, lastActivityAt } of abandoned) {
+    try {
+      await sendRecoveryEmail(user, lastActivityAt);
+    } catch (error) {
+      console.error(`Failed to send cart recovery email to user ${user._id}:`, error.message);
+    }
+  }
+
+  return abandoned.length;
+};
+
+// Run the job on an interval for the lifetime of the server
+const startAbandonedCartSweeper = () => {
+  const interval = (parseInt(process.env.ABANDONED_CART_SWEEP_MINUTES) || 60) * 60 * 1000;
+
+  const timer = setInterval(() => {
+    processAbandonedCarts().catch(error => {
+      console.error('Abandoned cart job error:', error.message);
+    });
+  }, interval);
+  timer.unref();
+
+  return timer;
+};
+
+module.exports = {
+  findAbandonedCarts,
+  processAbandonedCarts,
+  startAbandonedCartSweeper
+};
@@ -0,0 +1,39 @@
+const User = require('../models/User');
+const { eraseAccount } = require('../services/accountErasure');
+
+// Erase every account whose deletion grace period has run out. Accounts
+// that have since placed orders still in progress are retried later.
+const eraseDeletedAccounts = async () => {
+  const users = await User.find({
+    deletionScheduledFor: { $lte: new Date() }
+  }).limit(100);
+
+  for (const user of users) {
+    try {
+      await eraseAccount(user);
+    } catch (error) {
+      console.error(`Failed to erase account ${user._id}:`, error.message);
+    }
+  }
+
+  return users.length;
+};
+
+// Run the job on an interval for the lifetime of the server
+const startAccountErasureSweeper = () => {
+  const interval = (parseInt(process.env.ACCOUNT_ERASURE_SWEEP_MINUTES) || 60) * 60 * 1000;
+
+  const timer = setInterval(() => {
+    eraseDeletedAccounts().catch(error => {
+      console.error('Account erasure job error:', error.message);
+    });
+  }, interval);
+  timer.unref();
+
+  return timer;
+};
+
+module.exports = {
+  eraseDeletedAccounts,
+  startAccountErasureSweeper
+};
@@ -0,0 +1,20 @@
+const { processOutbox } = require('../services/mail');
+
+// Send queued and retried emails on an interval for the lifetime of the
+// server. Emails queued inside a transaction are sent from here.
+const startOutboxWorker = () => {
+  const interval = (parseInt(process.env.MAIL_OUTBOX_SWEEP_SECONDS) || 30) * 1000;
+
+  const timer = setInterval(() => {
+    processOutbox().catch(error => {
+      console.error('Email outbox worker error:', error.message);
+    });
+  }, interval);
+  timer.unref();
+
+  return timer;
+};
+
+module.exports = {
+  startOutboxWorker
+};
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const StockReservation = require('../models/StockReservation');
+const { restoreStock, commitHold, closeHold } = require('../services/inventory');
+const { transitionOrder } = require('../services/orderStatus');
+
+const EXPIRED_NOTE = 'Order cancelled automatically: payment not received before the stock hold expired';
+
+// Cancel one unpaid order whose hold has expired and give its stock back.
+// Orders that were paid in the meantime just get their hold committed.
+const releaseHold = async (reservation) => {
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      const order = await Order.findById(reservation.order).session(session);
+
+      if (order && order.isPaid) {
+        await commitHold(order._id, session);
+        return;
+      }
+
+      await closeHold(reservation.order, 'expired', EXPIRED_NOTE, session);
+
+      // Cancelling the order gives its stock back
+      if (order && order.status === 'pending') {
+        await transitionOrder(order, 'cancelled', { note: EXPIRED_NOTE, session });
+      } else {
+        await restoreStock(reservation.items, session);
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Release every hold that has run past its expiry
+const releaseExpiredHolds = async () => {
+  const reservations = await StockReservation.find({
+    status: 'active',
+    expiresAt: { $lte: new Date() }
+  }).limit(100);
+
+  for (const reservation of reservations) {
+    try {
+      await releaseHold(reservation);
+    } catch (error) {
+      console.error(`Failed to release stock hold for order ${reservation.order}:`, error.message);
+    }
+  }
+
+  return reservations.length;
+};
+
+// Run the sweeper on an interval for the lifetime of the server
+const startHoldSweeper = () => {
+  const interval = (parseInt(process.env.STOCK_HOLD_SWEEP_SECONDS) || 60) * 1000;
+
+  const timer = setInterval(() => {
+    releaseExpiredHolds().catch(error => {
+      console.error('Stock hold sweeper error:', error.message);
+    });
+  }, interval);
+  timer.unref();
+
+  return timer;
+};
+
+module.exports = {
+  releaseExpiredHolds,
+  startHoldSweeper
+};
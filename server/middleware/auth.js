@@ -1,5 +1,14 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { verifyScopedToken } = require('../utils/scopedTokens');
+const { isSessionActive } = require('../services/sessions');
+const { isTwoFactorRequired } = require('../services/twoFactor');
+const { getPermissions } = require('../services/permissions');
+const {
+  isImpersonationToken,
+  resolveImpersonation,
+  auditImpersonatedRequest
+} = require('../services/impersonation');
 
 // Protect routes
 exports.protect = async (req, res, next) => {
@@ -25,6 +34,31 @@ exports.protect = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // An admin acting as a customer (see POST /api/admin/users/:id/impersonate)
+    if (isImpersonationToken(decoded)) {
+      const impersonation = await resolveImpersonation(decoded);
+
+      if (!impersonation) {
+        return res.status(401).json({
+          success: false,
+          message: 'Impersonation has ended or is no longer allowed'
+        });
+      }
+
+      req.user = impersonation.user;
+      req.impersonator = impersonation.impersonator;
+      auditImpersonatedRequest(req, res);
+      return next();
+    }
+
+    // The token's session must not have been signed out or revoked
+    if (!decoded.sid || !(await isSessionActive(decoded.id, decoded.sid))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or was revoked'
+      });
+    }
+
     // Find user by id
     const user = await User.findById(decoded.id);
 
@@ -44,6 +78,7 @@ exports.protect = async (req, res, next) => {
     }
 
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     return res.status(401).json({
@@ -53,16 +88,28 @@ exports.protect = async (req, res, next) => {
   }
 };
 
-// Grant access to specific roles
-exports.authorize = (...roles) => {
-  return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({
+// Grant access to users whose role has all the given permissions
+exports.requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      const granted = await getPermissions(req.user);
+      const missing = permissions.filter(permission => !granted.includes(permission));
+
+      if (missing.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: `Not authorized to access this route (requires ${missing.join(', ')})`
+        });
+      }
+
+      next();
+    } catch (error) {
+      res.status(500).json({
         success: false,
-        message: `User role ${req.user.role} is not authorized to access this route`
+        message: 'Server error',
+        error: error.message
       });
     }
-    next();
   };
 };
 
@@ -80,10 +127,25 @@ exports.optionalAuth = async (req, res, next) => {
   if (token) {
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.id);
-      
+
+      if (isImpersonationToken(decoded)) {
+        const impersonation = await resolveImpersonation(decoded);
+
+        if (impersonation) {
+          req.user = impersonation.user;
+          req.impersonator = impersonation.impersonator;
+          auditImpersonatedRequest(req, res);
+        }
+        return next();
+      }
+
+      const user = decoded.sid && await isSessionActive(decoded.id, decoded.sid)
+        ? await User.findById(decoded.id)
+        : null;
+
       if (user && user.isActive) {
         req.user = user;
+        req.sessionId = decoded.sid;
       }
     } catch (error) {
       // Token is invalid, but we continue without user
@@ -92,4 +154,88 @@ exports.optionalAuth = async (req, res, next) => {
   }
 
   next();
-};
\ No newline at end of file
+};
+
+// Let a guest act on their own order with the token issued at checkout or
+// order lookup (X-Order-Token header). Signed-in users pass straight
+// through. Use after optionalAuth.
+exports.allowGuestOrder = (req, res, next) => {
+  if (req.user) {
+    return next();
+  }
+
+  const orderToken = req.headers['x-order-token'];
+
+  if (orderToken) {
+    try {
+      req.guestOrderId = verifyScopedToken(orderToken, 'order');
+      return next();
+    } catch (error) {
+      // Fall through to the 401 below
+    }
+  }
+
+  return res.status(401).json({
+    success: false,
+    message: 'Not authorized to access this route'
+  });
+};
+
+// Block an action until the user has verified their email, if the
+// REQUIRE_VERIFIED_EMAIL policy (a comma separated list of actions such as
+// "checkout,reviews") names it. Guests have no email to verify and pass
+// through. Use after protect or optionalAuth.
+exports.requireVerifiedEmail = (action) => {
+  return (req, res, next) => {
+    const policy = (process.env.REQUIRE_VERIFIED_EMAIL || '')
+      .split(',')
+      .map(entry => entry.trim().toLowerCase());
+
+    if (!req.user || req.user.isEmailVerified || !policy.includes(action)) {
+      return next();
+    }
+
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address first',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  };
+};
+
+// Refuse actions that must not be taken while an admin is impersonating a
+// customer: paying, and changing the customer's credentials or account.
+// Use after protect or optionalAuth.
+exports.blockImpersonation = (req, res, next) => {
+  if (!req.impersonator) {
+    return next();
+  }
+
+  return res.status(403).json({
+    success: false,
+    message: 'Not allowed while impersonating a customer',
+    code: 'IMPERSONATION_FORBIDDEN'
+  });
+};
+
+// Under the REQUIRE_ADMIN_2FA policy, admins and other staff must have
+// two-factor enabled before they can use the route. Use after protect.
+exports.requireAdminTwoFactor = async (req, res, next) => {
+  try {
+    if (req.user.twoFactor.enabled || !(await isTwoFactorRequired(req.user))) {
+      return next();
+    }
+
+    return res.status(403).json({
+      success: false,
+      message: 'Two-factor authentication must be enabled for staff accounts',
+      code: 'TWO_FACTOR_REQUIRED'
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
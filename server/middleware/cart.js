@@ -0,0 +1,34 @@
+const User = require('../models/User');
+const GuestCart = require('../models/GuestCart');
+const { findGuestCart } = require('../services/cart');
+
+// Resolve whose cart the request works on: the signed-in user's, or the
+// guest cart named by the X-Cart-Token header. Guests without a cart get a
+// new one, which is only stored once something is added to it. Use after
+// optionalAuth.
+exports.resolveCart = async (req, res, next) => {
+  if (req.user) {
+    try {
+      req.cartOwner = await User.findById(req.user.id);
+    } catch (error) {
+      return res.status(500).json({
+        success: false,
+        message: 'Server error',
+        error: error.message
+      });
+    }
+    return next();
+  }
+
+  const cartToken = req.headers['x-cart-token'];
+
+  try {
+    req.cartOwner = (cartToken && await findGuestCart(cartToken)) || new GuestCart();
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired cart token'
+    });
+  }
+};
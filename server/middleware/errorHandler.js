@@ -42,6 +42,7 @@ const errorHandler = (err, req, res, next) => {
   res.status(error.statusCode || 500).json({
     success: false,
     message: error.message || 'Server Error',
+    ...error.details,
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 };
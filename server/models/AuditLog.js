@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+// Operations that would change or remove stored entries
+const WRITE_OPERATIONS = [
+  'updateOne',
+  'updateMany',
+  'replaceOne',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'findOneAndDelete',
+  'deleteOne',
+  'deleteMany'
+];
+
+// A privileged change: who made it, to what, and the fields it changed.
+// Entries are append-only; apart from pseudonymizeUser nothing in the
+// application can edit or delete them.
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  // Copied so the entry still makes sense after the actor is deleted
+  actorEmail: String,
+  actorRole: String,
+  // The customer an impersonating actor was signed in as
+  onBehalfOf: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  // e.g. user.update, product.delete, order.status, order.refund
+  action: {
+    type: String,
+    required: true
+  },
+  target: {
+    type: {
+      type: String,
+      required: true
+    },
+    id: {
+      type: mongoose.Schema.ObjectId,
+      required: true
+    },
+    // Human readable name, e.g. an email, SKU or order number
+    label: String
+  },
+  changes: [{
+    _id: false,
+    path: { type: String, required: true },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  // Anything else worth knowing, such as a refund amount or reason
+  details: mongoose.Schema.Types.Mixed,
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// The one sanctioned change to stored entries, made when an account is
+// erased: its email address becomes the erased account's pseudonymous
+// address, and the values recorded for changes to the account itself are
+// dropped. Who did what and when is kept. Writes go straight to the
+// collection, past the guards below.
+auditLogSchema.statics.pseudonymizeUser = async function(user, pseudonym, { session } = {}) {
+  await this.collection.updateMany(
+    { $or: [{ actor: user._id }, { actorEmail: user.email }] },
+    { $set: { actorEmail: pseudonym }, $unset: { ip: '', userAgent: '' } },
+    { session }
+  );
+
+  await this.collection.updateMany(
+    { 'target.type': 'User', 'target.id': user._id },
+    {
+      $set: {
+        'target.label': pseudonym,
+        'changes.$[].before': '[redacted]',
+        'changes.$[].after': '[redacted]'
+      },
+      $unset: { details: '' }
+    },
+    { session }
+  );
+
+  await this.collection.updateMany(
+    { 'target.label': user.email },
+    { $set: { 'target.label': pseudonym } },
+    { session }
+  );
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Audit log entries cannot be changed'));
+  }
+  next();
+});
+
+auditLogSchema.pre(WRITE_OPERATIONS, { document: false, query: true }, function(next) {
+  next(new Error('Audit log entries cannot be changed'));
+});
+
+auditLogSchema.pre('deleteOne', { document: true, query: false }, function(next) {
+  next(new Error('Audit log entries cannot be changed'));
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
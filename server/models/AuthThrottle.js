@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Failed attempts at one sensitive action (logging in, resetting a
+// password) for one account or one IP address
+const authThrottleSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true,
+    enum: ['login', 'password_reset']
+  },
+  kind: {
+    type: String,
+    required: true,
+    enum: ['account', 'ip']
+  },
+  // The email address or IP address the attempts came for or from
+  value: {
+    type: String,
+    required: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  // Lockouts so far; each one lasts twice as long as the last
+  lockouts: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: Date,
+  // Backoff: no attempt is accepted before this
+  nextAttemptAt: Date,
+  lockedUntil: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+authThrottleSchema.index({ action: 1, kind: 1, value: 1 }, { unique: true });
+
+// Counters with no failures for a while are removed by MongoDB, which
+// resets them
+authThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthThrottle', authThrottleSchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// One recovery email sent for an abandoned cart, and what came of it
+const cartRecoverySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true
+  },
+  // The cart as it was when the email was sent
+  items: [{
+    product: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    variant: mongoose.Schema.ObjectId,
+    quantity: {
+      type: Number,
+      required: true,
+      min: [1, 'Quantity must be at least 1']
+    },
+    priceAtAdd: Number
+  }],
+  cartValue: {
+    type: Number,
+    default: 0
+  },
+  // When the cart was last added to; a cart is only emailed about once
+  lastActivityAt: {
+    type: Date,
+    required: true
+  },
+  coupon: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Coupon'
+  },
+  couponCode: String,
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'failed', 'restored', 'recovered'],
+    default: 'pending'
+  },
+  sentAt: Date,
+  failureReason: String,
+  restoredAt: Date,
+  recoveredAt: Date,
+  order: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Order'
+  },
+  revenue: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+cartRecoverySchema.index({ user: 1, lastActivityAt: -1 });
+cartRecoverySchema.index({ status: 1, sentAt: -1 });
+cartRecoverySchema.index({ couponCode: 1 });
+
+module.exports = mongoose.model('CartRecovery', cartRecoverySchema);
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    maxlength: [30, 'Coupon code cannot be more than 30 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [200, 'Description cannot be more than 200 characters']
+  },
+  type: {
+    type: String,
+    required: [true, 'Coupon type is required'],
+    enum: ['percentage', 'fixed_amount', 'free_shipping', 'buy_x_get_y']
+  },
+  // Percentage off or fixed amount off, depending on type
+  value: {
+    type: Number,
+    min: [0, 'Value cannot be negative'],
+    default: 0
+  },
+  // Upper bound for percentage discounts
+  maxDiscount: {
+    type: Number,
+    min: [0, 'Maximum discount cannot be negative']
+  },
+  // Buy X get Y: every `buyQuantity` units earn `getQuantity` units at
+  // `getDiscountPercent` off (100 = free); the cheapest units are discounted
+  buyQuantity: {
+    type: Number,
+    min: [1, 'Buy quantity must be at least 1']
+  },
+  getQuantity: {
+    type: Number,
+    min: [1, 'Get quantity must be at least 1']
+  },
+  getDiscountPercent: {
+    type: Number,
+    min: [0, 'Discount percent cannot be negative'],
+    max: [100, 'Discount percent cannot be more than 100'],
+    default: 100
+  },
+  minSpend: {
+    type: Number,
+    min: [0, 'Minimum spend cannot be negative'],
+    default: 0
+  },
+  // Empty lists mean the coupon applies to the whole cart
+  scope: {
+    categories: [String],
+    brands: [String],
+    skus: [String]
+  },
+  usageLimit: {
+    type: Number,
+    min: [1, 'Usage limit must be at least 1']
+  },
+  usageLimitPerUser: {
+    type: Number,
+    min: [1, 'Usage limit per user must be at least 1']
+  },
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+  startsAt: Date,
+  endsAt: Date,
+  // Whether the coupon can be combined with other stackable coupons
+  stackable: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Type specific settings
+couponSchema.pre('validate', function(next) {
+  if (this.type === 'percentage' && (!this.value || this.value > 100)) {
+    this.invalidate('value', 'Percentage coupons need a value between 1 and 100');
+  }
+  if (this.type === 'fixed_amount' && !this.value) {
+    this.invalidate('value', 'Fixed amount coupons need a value');
+  }
+  if (this.type === 'buy_x_get_y' && (!this.buyQuantity || !this.getQuantity)) {
+    this.invalidate('buyQuantity', 'Buy X get Y coupons need a buy and a get quantity');
+  }
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'End date must be after the start date');
+  }
+  next();
+});
+
+couponSchema.index({ isActive: 1, endsAt: 1 });
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  order: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  discount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+couponRedemptionSchema.index({ coupon: 1, user: 1 });
+couponRedemptionSchema.index({ order: 1 });
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// An email waiting to be sent, or the record of one that was. Messages are
+// rendered when queued so retries send exactly what was queued.
+const emailOutboxSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true
+  },
+  template: {
+    type: String,
+    required: true
+  },
+  templateVersion: {
+    type: Number,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  text: String,
+  html: String,
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set while a worker is sending; stale locks are picked up again
+  lockedAt: Date,
+  lastError: String,
+  sentAt: Date,
+  messageId: String,
+  transport: String
+}, {
+  timestamps: true
+});
+
+emailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+emailOutboxSchema.index({ to: 1, createdAt: -1 });
+
+module.exports = mongoose.model('EmailOutbox', emailOutboxSchema);
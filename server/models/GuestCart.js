@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const { signScopedToken } = require('../utils/scopedTokens');
+
+const getCartLifetimeDays = () => parseInt(process.env.GUEST_CART_DAYS) || 30;
+
+// An anonymous shopper's cart. The cart fields mirror those on User so the
+// cart routes work on either.
+const guestCartSchema = new mongoose.Schema({
+  cart: [{
+    product: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    variant: mongoose.Schema.ObjectId,
+    quantity: {
+      type: Number,
+      required: true,
+      min: [1, 'Quantity must be at least 1']
+    },
+    // Unit price when the item was added, to notice price changes since
+    priceAtAdd: {
+      type: Number,
+      min: [0, 'Price cannot be negative']
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  cartCoupons: [{
+    type: String,
+    uppercase: true,
+    trim: true
+  }],
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Carts nobody has touched for the cart lifetime are removed by MongoDB
+guestCartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+guestCartSchema.pre('validate', function(next) {
+  this.expiresAt = new Date(Date.now() + getCartLifetimeDays() * 24 * 60 * 60 * 1000);
+  next();
+});
+
+// The token a guest sends as X-Cart-Token to find this cart again
+guestCartSchema.methods.getCartToken = function() {
+  return signScopedToken('cart', this._id, `${getCartLifetimeDays()}d`);
+};
+
+module.exports = mongoose.model('GuestCart', guestCartSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// A record of an account or IP address being locked out after too many
+// failed attempts, kept for admins to review
+const lockoutEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true,
+    enum: ['login', 'password_reset']
+  },
+  kind: {
+    type: String,
+    required: true,
+    enum: ['account', 'ip']
+  },
+  value: {
+    type: String,
+    required: true
+  },
+  // The account, when the locked email belongs to one
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  // Where the attempt that caused the lockout came from
+  ip: String,
+  userAgent: String,
+  failures: Number,
+  lockouts: Number,
+  lockedUntil: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+lockoutEventSchema.index({ createdAt: -1 });
+lockoutEventSchema.index({ kind: 1, value: 1, createdAt: -1 });
+
+module.exports = mongoose.model('LockoutEvent', lockoutEventSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { signScopedToken } = require('../utils/scopedTokens');
 
 const orderItemSchema = new mongoose.Schema({
   product: {
@@ -27,19 +28,81 @@ const orderItemSchema = new mongoose.Schema({
   sku: {
     type: String,
     required: true
+  },
+  // The product's variant combination, when it is sold as combinations
+  variant: mongoose.Schema.ObjectId,
+  variants: [{
+    name: String,
+    value: String
+  }],
+  taxAmount: {
+    type: Number,
+    min: [0, 'Tax cannot be negative'],
+    default: 0
   }
 });
 
+// One entry in the order's refund ledger
+const refundSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Refund amount cannot be negative']
+  },
+  items: [{
+    orderItem: {
+      type: mongoose.Schema.ObjectId,
+      required: true
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: [1, 'Quantity must be at least 1']
+    },
+    amount: {
+      type: Number,
+      min: [0, 'Refund amount cannot be negative']
+    }
+  }],
+  reason: String,
+  stripeRefundId: String,
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed', 'canceled'],
+    default: 'pending'
+  },
+  failureReason: String,
+  requestedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
 const orderSchema = new mongoose.Schema({
   orderNumber: {
     type: String,
     required: true,
     unique: true
   },
+  // Guest orders have no user, only the email given at checkout
   user: {
     type: mongoose.Schema.ObjectId,
     ref: 'User',
-    required: true
+    required: function() {
+      return !this.guestEmail;
+    }
+  },
+  guestEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    match: [
+      /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
+      'Please enter a valid email'
+    ]
   },
   orderItems: [orderItemSchema],
   shippingAddress: {
@@ -85,6 +148,31 @@ const orderSchema = new mongoose.Schema({
     min: [0, 'Tax price cannot be negative'],
     default: 0
   },
+  taxBreakdown: [{
+    jurisdiction: { type: String, required: true },
+    country: String,
+    state: String,
+    rate: Number,
+    taxableAmount: Number,
+    amount: { type: Number, required: true }
+  }],
+  taxProvider: String,
+  taxExempt: {
+    type: Boolean,
+    default: false
+  },
+  shippingMethod: {
+    code: {
+      type: String,
+      enum: ['standard', 'express', 'pickup']
+    },
+    name: String,
+    zone: String,
+    estimatedDays: {
+      min: Number,
+      max: Number
+    }
+  },
   shippingPrice: {
     type: Number,
     required: true,
@@ -105,6 +193,18 @@ const orderSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  coupons: [{
+    coupon: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String,
+    type: { type: String },
+    discount: {
+      type: Number,
+      default: 0
+    }
+  }],
   isPaid: {
     type: Boolean,
     required: true,
@@ -131,6 +231,7 @@ const orderSchema = new mongoose.Schema({
       'shipped',
       'delivered',
       'cancelled',
+      'partially_refunded',
       'refunded'
     ],
     default: 'pending'
@@ -147,6 +248,9 @@ const orderSchema = new mongoose.Schema({
   estimatedDelivery: {
     type: Date
   },
+  reservationExpiresAt: {
+    type: Date
+  },
   notes: {
     type: String,
     maxlength: [500, 'Notes cannot be more than 500 characters']
@@ -166,19 +270,7 @@ const orderSchema = new mongoose.Schema({
       ref: 'User'
     }
   }],
-  refund: {
-    requested: { type: Boolean, default: false },
-    requestedAt: Date,
-    reason: String,
-    amount: { type: Number, min: 0 },
-    status: {
-      type: String,
-      enum: ['pending', 'approved', 'rejected', 'processed'],
-      default: 'pending'
-    },
-    processedAt: Date,
-    refundId: String
-  }
+  refunds: [refundSchema]
 }, {
   timestamps: true
 });
@@ -193,16 +285,18 @@ orderSchema.pre('save', async function(next) {
   next();
 });
 
-// Add status to history when status changes
-orderSchema.pre('save', function(next) {
-  if (this.isModified('status') && !this.isNew) {
-    this.statusHistory.push({
-      status: this.status,
-      timestamp: new Date(),
-      note: `Order status updated to ${this.status}`
-    });
-  }
-  next();
+// Token letting a guest pay for and view this order without an account,
+// sent as X-Order-Token
+orderSchema.methods.getAccessToken = function() {
+  return signScopedToken('order', this._id, '30d');
+};
+
+// Virtual for the amount refunded so far
+orderSchema.virtual('amountRefunded').get(function() {
+  const total = (this.refunds || [])
+    .filter(entry => entry.status === 'succeeded')
+    .reduce((sum, entry) => sum + entry.amount, 0);
+  return Math.round(total * 100) / 100;
 });
 
 // Virtual for order summary
@@ -219,8 +313,10 @@ orderSchema.virtual('orderSummary').get(function() {
 // Index for efficient queries
 orderSchema.index({ user: 1, createdAt: -1 });
 orderSchema.index({ orderNumber: 1 });
+orderSchema.index({ guestEmail: 1, createdAt: -1 });
 orderSchema.index({ status: 1, createdAt: -1 });
 orderSchema.index({ isPaid: 1, isDelivered: 1 });
+orderSchema.index({ 'refunds.stripeRefundId': 1 });
 
 // Ensure virtual fields are serialized
 orderSchema.set('toJSON', {
@@ -17,18 +17,101 @@ const reviewSchema = new mongoose.Schema({
     required: [true, 'Review comment is required'],
     maxlength: [500, 'Review cannot be more than 500 characters']
   },
+  // Users who voted the review helpful or unhelpful
   helpful: [{
     type: mongoose.Schema.ObjectId,
     ref: 'User'
   }],
+  unhelpful: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }],
   verified: {
     type: Boolean,
     default: false
-  }
+  },
+  // Only approved reviews are shown and count toward the rating. Reviews
+  // written before moderation existed have no status and load as approved.
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'hidden'],
+    default: 'approved'
+  },
+  editedAt: Date,
+  reports: [{
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    reason: {
+      type: String,
+      enum: ['spam', 'offensive', 'off_topic', 'fake', 'other'],
+      required: true
+    },
+    details: {
+      type: String,
+      maxlength: [500, 'Details cannot be more than 500 characters']
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Reported since a moderator last looked at it
+  flagged: {
+    type: Boolean,
+    default: false
+  },
+  moderatedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  moderatedAt: Date,
+  moderationNote: String
 }, {
   timestamps: true
 });
 
+// A purchasable combination of variant options, e.g. Size M / Blue, with
+// its own SKU, stock and optional price and image
+const variantCombinationSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, 'Variant SKU is required'],
+    trim: true
+  },
+  options: [{
+    name: {
+      type: String,
+      required: true
+    },
+    value: {
+      type: String,
+      required: true
+    }
+  }],
+  price: {
+    type: Number,
+    min: [0, 'Price cannot be negative']
+  },
+  stock: {
+    type: Number,
+    required: [true, 'Variant stock quantity is required'],
+    min: [0, 'Stock cannot be negative'],
+    default: 0
+  },
+  image: {
+    public_id: String,
+    url: String,
+    alt: String
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
 const productSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -128,6 +211,7 @@ const productSchema = new mongoose.Schema({
       stock: Number
     }]
   }],
+  combinations: [variantCombinationSchema],
   tags: [String],
   weight: {
     type: Number,
@@ -239,16 +323,67 @@ productSchema.index({ brand: 1, category: 1 });
 productSchema.index({ averageRating: -1, numReviews: -1 });
 productSchema.index({ featured: -1, createdAt: -1 });
 productSchema.index({ status: 1, stock: 1 });
+productSchema.index(
+  { 'combinations.sku': 1 },
+  { unique: true, partialFilterExpression: { 'combinations.sku': { $exists: true } } }
+);
+
+// Find a variant combination by id, or by its full set of options
+productSchema.methods.findCombination = function(variantId, options = []) {
+  if (variantId) {
+    return this.combinations.id(variantId);
+  }
+
+  if (options.length === 0) {
+    return null;
+  }
 
-// Update average rating when reviews change
+  return this.combinations.find(combination =>
+    combination.options.length === options.length &&
+    options.every(selection => combination.options.some(option =>
+      option.name === selection.name && option.value === selection.value
+    ))
+  ) || null;
+};
+
+// Combinations must use the options declared in `variants` and be unique
+productSchema.pre('validate', function(next) {
+  const seen = new Set();
+
+  for (const combination of this.combinations) {
+    for (const option of combination.options) {
+      const variant = this.variants.find(v => v.name === option.name);
+      if (!variant || !variant.options.some(o => o.value === option.value)) {
+        this.invalidate('combinations', `Unknown option ${option.name}: ${option.value} for variant ${combination.sku}`);
+      }
+    }
+
+    const key = combination.options
+      .map(option => `${option.name}=${option.value}`)
+      .sort()
+      .join('|');
+
+    if (seen.has(key) || seen.has(combination.sku)) {
+      this.invalidate('combinations', `Duplicate variant combination ${combination.sku}`);
+    }
+    seen.add(key);
+    seen.add(combination.sku);
+  }
+
+  next();
+});
+
+// Update average rating when reviews change. Only approved reviews count.
 productSchema.methods.updateAverageRating = function() {
-  if (this.reviews.length === 0) {
+  const approved = this.reviews.filter(review => review.status === 'approved');
+
+  if (approved.length === 0) {
     this.averageRating = 0;
     this.numReviews = 0;
   } else {
-    const totalRating = this.reviews.reduce((sum, review) => sum + review.rating, 0);
-    this.averageRating = Math.round((totalRating / this.reviews.length) * 10) / 10;
-    this.numReviews = this.reviews.length;
+    const totalRating = approved.reduce((sum, review) => sum + review.rating, 0);
+    this.averageRating = Math.round((totalRating / approved.length) * 10) / 10;
+    this.numReviews = approved.length;
   }
 };
 
@@ -260,4 +395,13 @@ productSchema.pre('save', function(next) {
   next();
 });
 
+// A product sold as variant combinations stocks exactly what its
+// combinations do
+productSchema.pre('save', function(next) {
+  if (this.isModified('combinations') && this.combinations.length > 0) {
+    this.stock = this.combinations.reduce((total, combination) => total + combination.stock, 0);
+  }
+  next();
+});
+
 module.exports = mongoose.model('Product', productSchema);
\ No newline at end of file
@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+
+const returnItemSchema = new mongoose.Schema({
+  orderItem: {
+    type: mongoose.Schema.ObjectId,
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  variant: mongoose.Schema.ObjectId,
+  sku: String,
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: [0, 'Price cannot be negative']
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  reason: {
+    type: String,
+    required: [true, 'Return reason is required'],
+    enum: [
+      'damaged',
+      'defective',
+      'wrong_item',
+      'not_as_described',
+      'no_longer_needed',
+      'other'
+    ]
+  },
+  comment: {
+    type: String,
+    maxlength: [500, 'Comment cannot be more than 500 characters']
+  },
+  restocked: {
+    type: Boolean,
+    default: false
+  },
+  refundAmount: {
+    type: Number,
+    min: [0, 'Refund amount cannot be negative']
+  },
+  refundId: String,
+  refundedAt: Date
+});
+
+const returnRequestSchema = new mongoose.Schema({
+  rmaNumber: {
+    type: String,
+    unique: true
+  },
+  order: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  items: {
+    type: [returnItemSchema],
+    validate: [items => items.length > 0, 'At least one item must be returned']
+  },
+  photos: [{
+    url: {
+      type: String,
+      required: true
+    },
+    public_id: String
+  }],
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'received', 'refunded'],
+    default: 'requested'
+  },
+  receivedAt: Date,
+  history: [{
+    status: {
+      type: String,
+      required: true
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now
+    },
+    note: String,
+    updatedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Generate unique RMA number
+returnRequestSchema.pre('save', function(next) {
+  if (!this.rmaNumber) {
+    const timestamp = Date.now().toString();
+    const random = Math.random().toString(36).substring(2, 6).toUpperCase();
+    this.rmaNumber = `RMA-${timestamp.slice(-6)}${random}`;
+  }
+  next();
+});
+
+// Move the return to a new status and record who did it
+returnRequestSchema.methods.setStatus = function(status, note, user) {
+  this.status = status;
+  this.history.push({
+    status,
+    timestamp: new Date(),
+    note,
+    updatedBy: user ? user._id : undefined
+  });
+};
+
+returnRequestSchema.index({ user: 1, createdAt: -1 });
+returnRequestSchema.index({ order: 1 });
+returnRequestSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ReturnRequest', returnRequestSchema);
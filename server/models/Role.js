@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const { permissions, builtInRoles } = require('../config/permissions');
+
+// A custom staff role: a named set of permissions admins can assign to
+// users, e.g. support staff who only need to see orders
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9_-]*$/, 'Role names may only contain letters, digits, - and _'],
+    maxlength: [50, 'Role name cannot be more than 50 characters'],
+    validate: {
+      validator: name => !Object.prototype.hasOwnProperty.call(builtInRoles, name),
+      message: 'The built-in roles cannot be redefined'
+    }
+  },
+  description: {
+    type: String,
+    maxlength: [200, 'Description cannot be more than 200 characters']
+  },
+  permissions: [{
+    type: String,
+    enum: {
+      values: Object.keys(permissions),
+      message: '{VALUE} is not a permission'
+    }
+  }],
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Role', roleSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// One signed-in device. Access tokens name the session they belong to, so
+// revoking the session cuts off its access tokens as well as its refresh
+// token.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Only hashes of refresh tokens are stored. The previous one is kept to
+  // notice a rotated token being used again, which means it was stolen.
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  previousRefreshTokenHash: String,
+  userAgent: String,
+  ip: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: [
+      'logout',
+      'revoked',
+      'password_changed',
+      'password_reset',
+      'deactivated',
+      'token_reuse',
+      'two_factor_enabled',
+      'account_deleted',
+      'reset_required'
+    ]
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Whether the session can still be used
+sessionSchema.methods.isValid = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
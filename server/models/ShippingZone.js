@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const rateTierSchema = new mongoose.Schema({
+  // Lower bound (inclusive) and upper bound (exclusive, empty = no limit) of
+  // the order weight in kg or order value, depending on the method
+  min: {
+    type: Number,
+    required: true,
+    min: [0, 'Tier minimum cannot be negative']
+  },
+  max: Number,
+  cost: {
+    type: Number,
+    required: true,
+    min: [0, 'Shipping cost cannot be negative']
+  }
+}, { _id: false });
+
+const shippingMethodSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    enum: ['standard', 'express', 'pickup']
+  },
+  name: {
+    type: String,
+    required: [true, 'Method name is required']
+  },
+  rateType: {
+    type: String,
+    enum: ['flat', 'weight', 'price'],
+    default: 'flat'
+  },
+  flatRate: {
+    type: Number,
+    min: [0, 'Shipping cost cannot be negative'],
+    default: 0
+  },
+  tiers: [rateTierSchema],
+  freeShippingThreshold: {
+    type: Number,
+    min: [0, 'Free shipping threshold cannot be negative']
+  },
+  estimatedDays: {
+    min: Number,
+    max: Number
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
+const shippingZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Zone name is required'],
+    trim: true
+  },
+  // ISO country codes covered by the zone
+  countries: {
+    type: [String],
+    validate: [countries => countries.length > 0, 'At least one country is required']
+  },
+  // State codes within those countries; empty covers the whole country
+  states: [String],
+  methods: [shippingMethodSchema],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Store country and state codes upper cased so they match addresses
+shippingZoneSchema.pre('save', function(next) {
+  this.countries = this.countries.map(country => country.trim().toUpperCase());
+  this.states = this.states.map(state => state.trim().toUpperCase());
+  next();
+});
+
+shippingZoneSchema.index({ countries: 1, isActive: 1 });
+
+module.exports = mongoose.model('ShippingZone', shippingZoneSchema);
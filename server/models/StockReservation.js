@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const stockReservationSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Order',
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  items: [{
+    product: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    variant: mongoose.Schema.ObjectId,
+    quantity: {
+      type: Number,
+      required: true,
+      min: [1, 'Quantity must be at least 1']
+    }
+  }],
+  status: {
+    type: String,
+    enum: ['active', 'committed', 'released', 'expired'],
+    default: 'active'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  committedAt: Date,
+  releasedAt: Date,
+  releaseReason: String
+}, {
+  timestamps: true
+});
+
+// The sweeper looks up active holds that have run out
+stockReservationSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('StockReservation', stockReservationSchema);
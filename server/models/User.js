@@ -26,15 +26,29 @@ const userSchema = new mongoose.Schema({
       'Please enter a valid email'
     ]
   },
+  // Users who signed up through a linked identity have no password
   password: {
     type: String,
-    required: [true, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters'],
     select: false
   },
+  // Hashes of previous passwords, newest first, so they are not reused
+  passwordHistory: {
+    type: [String],
+    select: false
+  },
+  passwordChangedAt: Date,
+  // Set by an admin; the user cannot sign in with their password until
+  // they reset it
+  passwordResetRequired: {
+    type: Boolean,
+    default: false
+  },
+  // `user`, `admin` or the name of a custom staff role (see models/Role.js)
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    lowercase: true,
+    trim: true,
     default: 'user'
   },
   avatar: {
@@ -71,16 +85,28 @@ const userSchema = new mongoose.Schema({
       ref: 'Product',
       required: true
     },
+    // The chosen variant combination, for products sold as combinations
+    variant: mongoose.Schema.ObjectId,
     quantity: {
       type: Number,
       required: true,
       min: [1, 'Quantity must be at least 1']
     },
+    // Unit price when the item was added, to notice price changes since
+    priceAtAdd: {
+      type: Number,
+      min: [0, 'Price cannot be negative']
+    },
     addedAt: {
       type: Date,
       default: Date.now
     }
   }],
+  cartCoupons: [{
+    type: String,
+    uppercase: true,
+    trim: true
+  }],
   preferences: {
     newsletter: { type: Boolean, default: true },
     notifications: { type: Boolean, default: true },
@@ -90,47 +116,91 @@ const userSchema = new mongoose.Schema({
       max: { type: Number, default: 10000 }
     }
   },
+  taxExemption: {
+    isExempt: { type: Boolean, default: false },
+    certificateNumber: String,
+    // Empty means exempt everywhere
+    jurisdictions: [String],
+    expiresAt: Date
+  },
+  // Social and single sign-on logins linked to the account
+  identities: [{
+    // A key of config/oauthProviders.js
+    provider: { type: String, required: true },
+    // The provider's stable id for the user
+    subject: { type: String, required: true },
+    email: String,
+    linkedAt: { type: Date, default: Date.now }
+  }],
   isEmailVerified: {
     type: Boolean,
     default: false
   },
   emailVerificationToken: String,
   emailVerificationExpire: Date,
+  // When the last verification email went out, to throttle resends
+  emailVerificationSentAt: Date,
+  // TOTP two-factor authentication. The secret is only kept as
+  // pendingSecret until the user proves their app works with a code.
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false },
+    // Hashes of the unused backup codes
+    backupCodes: { type: [String], select: false },
+    // Time step of the last code used, so a code cannot be replayed
+    lastUsedStep: { type: Number, select: false },
+    enabledAt: Date
+  },
   resetPasswordToken: String,
   resetPasswordExpire: Date,
   lastLogin: Date,
   isActive: {
     type: Boolean,
     default: true
-  }
+  },
+  // Set when the user asks for their account to be deleted. Until then they
+  // can sign in and restore it; afterwards it is erased (see
+  // services/accountErasure.js) and deletedAt is set.
+  deletionScheduledFor: Date,
+  deletedAt: Date
 }, {
   timestamps: true
 });
 
+userSchema.index({ deletionScheduledFor: 1 }, { sparse: true });
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
+
 // Encrypt password before saving
 userSchema.pre('save', async function(next) {
-  if (!this.isModified('password')) {
-    next();
+  if (!this.isModified('password') || !this.password) {
+    return next();
   }
 
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
 });
 
-// Generate JWT token
-userSchema.methods.getSignedJwtToken = function() {
-  return jwt.sign({ id: this._id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE
+// Generate a short-lived JWT access token for one of the user's sessions
+userSchema.methods.getSignedJwtToken = function(sessionId) {
+  return jwt.sign({ id: this._id, sid: String(sessionId) }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m'
   });
 };
 
 // Match user entered password to hashed password in database
 userSchema.methods.matchPassword = async function(enteredPassword) {
+  if (!this.password || typeof enteredPassword !== 'string') {
+    return false;
+  }
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
 // Generate and hash password token
-userSchema.methods.getResetPasswordToken = function() {
+userSchema.methods.getResetPasswordToken = function(minutes = 10) {
   // Generate token
   const resetToken = crypto.randomBytes(20).toString('hex');
 
@@ -141,11 +211,27 @@ userSchema.methods.getResetPasswordToken = function() {
     .digest('hex');
 
   // Set expire
-  this.resetPasswordExpire = Date.now() + 10 * 60 * 1000;
+  this.resetPasswordExpire = Date.now() + minutes * 60 * 1000;
 
   return resetToken;
 };
 
+// Generate and hash email verification token
+userSchema.methods.getEmailVerificationToken = function() {
+  const verificationToken = crypto.randomBytes(20).toString('hex');
+
+  this.emailVerificationToken = crypto
+    .createHash('sha256')
+    .update(verificationToken)
+    .digest('hex');
+
+  const hours = parseFloat(process.env.EMAIL_VERIFICATION_HOURS) || 24;
+  this.emailVerificationExpire = Date.now() + hours * 60 * 60 * 1000;
+  this.emailVerificationSentAt = Date.now();
+
+  return verificationToken;
+};
+
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
   return `${this.firstName} ${this.lastName}`;
@@ -1,18 +1,177 @@
 const express = require('express');
+const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Product = require('../models/Product');
 const Order = require('../models/Order');
-const { protect, authorize } = require('../middleware/auth');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const ShippingZone = require('../models/ShippingZone');
+const CartRecovery = require('../models/CartRecovery');
+const LockoutEvent = require('../models/LockoutEvent');
+const Role = require('../models/Role');
+const AuditLog = require('../models/AuditLog');
+const { protect, requirePermission, requireAdminTwoFactor } = require('../middleware/auth');
+const { getRecoveryReport } = require('../services/cartRecovery');
+const { revokeAllSessions } = require('../services/sessions');
+const { eraseAccount } = require('../services/accountErasure');
+const { startImpersonation } = require('../services/impersonation');
+const { queueMail } = require('../services/mail');
+const {
+  hasPermission,
+  hasAllPermissions,
+  canAssignRole,
+  roleExists
+} = require('../services/permissions');
+const { recordAudit, recordAudits } = require('../services/audit');
+const { permissions, builtInRoles } = require('../config/permissions');
+const ErrorResponse = require('../utils/errorResponse');
+const { escapeRegex } = require('../utils/regex');
 
 const router = express.Router();
 
-// All routes require admin authorization
-router.use(protect, authorize('admin'));
+// How long the link in a forced password reset email works
+const FORCED_RESET_HOURS = 24;
+
+// Audit log filters shared by the list and the export
+const getAuditQuery = (filters) => {
+  const query = {};
+
+  if (filters.actor) {
+    query.actor = filters.actor;
+  }
+
+  // An exact action (order.status) or every action on a kind of target (order.)
+  if (filters.action) {
+    const action = String(filters.action);
+    query.action = action.endsWith('.')
+      ? { $regex: `^${escapeRegex(action)}` }
+      : action;
+  }
+
+  if (filters.targetType) {
+    query['target.type'] = filters.targetType;
+  }
+  if (filters.targetId) {
+    query['target.id'] = filters.targetId;
+  }
+
+  // Search by order number, product name, email or other target label, or
+  // by the actor's email. The term is matched as text, not as a pattern.
+  if (filters.search) {
+    const search = escapeRegex(filters.search);
+    query.$or = [
+      { 'target.label': { $regex: search, $options: 'i' } },
+      { actorEmail: { $regex: search, $options: 'i' } }
+    ];
+  }
+
+  if (filters.startDate || filters.endDate) {
+    query.createdAt = {};
+    if (filters.startDate) query.createdAt.$gte = new Date(filters.startDate);
+    if (filters.endDate) query.createdAt.$lte = new Date(filters.endDate);
+  }
+
+  return query;
+};
+
+// Nested values (changes, details) are written as JSON
+const toCsvValue = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (Array.isArray(value) || value.constructor === Object) {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  // Spreadsheet apps run text cells starting with these as formulas, and
+  // names and emails come from users
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const AUDIT_CSV_COLUMNS = [
+  ['createdAt', entry => entry.createdAt],
+  ['actorEmail', entry => entry.actorEmail],
+  ['actorRole', entry => entry.actorRole],
+  ['action', entry => entry.action],
+  ['targetType', entry => entry.target && entry.target.type],
+  ['targetId', entry => entry.target && entry.target.id],
+  ['targetLabel', entry => entry.target && entry.target.label],
+  ['changes', entry => entry.changes],
+  ['details', entry => entry.details],
+  ['ip', entry => entry.ip],
+  ['userAgent', entry => entry.userAgent]
+];
+
+// Which reviews each moderation queue filter shows. Reviews written before
+// moderation existed have no status and count as approved.
+const REVIEW_QUEUE_FILTERS = {
+  queue: { $or: [{ 'reviews.status': 'pending' }, { 'reviews.flagged': true }] },
+  pending: { 'reviews.status': 'pending' },
+  flagged: { 'reviews.flagged': true },
+  hidden: { 'reviews.status': 'hidden' },
+  approved: { 'reviews.status': { $nin: ['pending', 'hidden'] } }
+};
+
+// Approve or hide a review, clearing any reports waiting on it
+const moderateReview = async (req, status) => {
+  const product = await Product.findOne({ 'reviews._id': req.params.reviewId });
+
+  if (!product) {
+    throw new ErrorResponse('Review not found', 404);
+  }
+
+  const review = product.reviews.id(req.params.reviewId);
+  const before = review.toObject();
+
+  review.status = status;
+  review.flagged = false;
+  review.moderatedBy = req.user._id;
+  review.moderatedAt = new Date();
+  review.moderationNote = req.body.note;
+
+  await product.save();
+
+  await recordAudit(req, `review.${status === 'approved' ? 'approve' : 'hide'}`, {
+    type: 'Review',
+    id: review._id,
+    label: product.sku
+  }, {
+    before,
+    after: review,
+    details: { product: product._id, reports: review.reports.length }
+  });
+
+  return review;
+};
+
+// Staff accounts can only be changed by those who can manage roles and hold
+// everything the account's role grants, so users:manage alone cannot be used
+// to take over a more powerful account
+const canChangeUser = async (actor, target) => {
+  if (target.role === 'user') {
+    return true;
+  }
+  return (await hasPermission(actor, 'roles:manage')) && canAssignRole(actor, target.role);
+};
+
+// All routes require a signed-in user, and two-factor authentication for
+// admins when REQUIRE_ADMIN_2FA is on. Each route checks its own permission.
+router.use(protect, requireAdminTwoFactor);
 
 // @desc    Get dashboard analytics
 // @route   GET /api/admin/dashboard
-// @access  Private/Admin
-router.get('/dashboard', async (req, res) => {
+// @access  Private (analytics:view)
+router.get('/dashboard', requirePermission('analytics:view'), async (req, res) => {
   try {
     const now = new Date();
     const thirtyDaysAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
@@ -163,8 +322,8 @@ router.get('/dashboard', async (req, res) => {
 
 // @desc    Get all users
 // @route   GET /api/admin/users
-// @access  Private/Admin
-router.get('/users', async (req, res) => {
+// @access  Private (users:manage)
+router.get('/users', requirePermission('users:manage'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
@@ -218,8 +377,8 @@ router.get('/users', async (req, res) => {
 
 // @desc    Get single user
 // @route   GET /api/admin/users/:id
-// @access  Private/Admin
-router.get('/users/:id', async (req, res) => {
+// @access  Private (users:manage)
+router.get('/users/:id', requirePermission('users:manage'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id)
       .select('-password -resetPasswordToken -emailVerificationToken')
@@ -252,10 +411,66 @@ router.get('/users/:id', async (req, res) => {
   }
 });
 
+// @desc    Sign in as a customer to see what they see
+// @route   POST /api/admin/users/:id/impersonate
+// @access  Private (users:impersonate)
+router.post('/users/:id/impersonate', requirePermission('users:impersonate'), [
+  body('reason', 'A reason is required, such as the support ticket').trim().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { token, expiresAt } = await startImpersonation(req, user, req.body.reason);
+
+    res.json({
+      success: true,
+      message: `Impersonating ${user.email}`,
+      token,
+      expiresAt,
+      user: {
+        id: user._id,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        email: user.email
+      }
+    });
+  } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
 // @desc    Update user
 // @route   PUT /api/admin/users/:id
-// @access  Private/Admin
-router.put('/users/:id', async (req, res) => {
+// @access  Private (users:manage)
+router.put('/users/:id', requirePermission('users:manage'), async (req, res) => {
   try {
     const fieldsToUpdate = {
       firstName: req.body.firstName,
@@ -270,6 +485,49 @@ router.put('/users/:id', async (req, res) => {
       fieldsToUpdate[key] === undefined && delete fieldsToUpdate[key]
     );
 
+    const existingUser = await User.findById(req.params.id);
+
+    if (!existingUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!(await canChangeUser(req.user, existingUser))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to change this staff account (requires roles:manage and every permission its role grants)'
+      });
+    }
+
+    if (fieldsToUpdate.role !== undefined) {
+      fieldsToUpdate.role = String(fieldsToUpdate.role).toLowerCase().trim();
+
+      if (!(await hasPermission(req.user, 'roles:manage'))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to assign roles (requires roles:manage)'
+        });
+      }
+
+      if (!(await roleExists(fieldsToUpdate.role))) {
+        return res.status(400).json({
+          success: false,
+          message: `Role ${fieldsToUpdate.role} does not exist`
+        });
+      }
+
+      if (!(await canAssignRole(req.user, fieldsToUpdate.role))) {
+        return res.status(403).json({
+          success: false,
+          message: fieldsToUpdate.role === 'admin'
+            ? 'Only admins can assign the admin role'
+            : 'Not authorized to assign a role with permissions you do not have'
+        });
+      }
+    }
+
     const user = await User.findByIdAndUpdate(
       req.params.id,
       fieldsToUpdate,
@@ -283,6 +541,16 @@ router.put('/users/:id', async (req, res) => {
       });
     }
 
+    // A deactivated user is signed out of every device
+    if (!user.isActive) {
+      await revokeAllSessions(user._id, 'deactivated');
+    }
+
+    await recordAudit(req, 'user.update', { type: 'User', id: user._id, label: user.email }, {
+      before: existingUser,
+      after: user
+    });
+
     res.json({
       success: true,
       message: 'User updated successfully',
@@ -297,10 +565,78 @@ router.put('/users/:id', async (req, res) => {
   }
 });
 
+// @desc    Update user tax exemption
+// @route   PUT /api/admin/users/:id/tax-exemption
+// @access  Private (users:manage)
+router.put('/users/:id/tax-exemption', requirePermission('users:manage'), [
+  body('isExempt', 'isExempt must be true or false').isBoolean(),
+  body('jurisdictions', 'Jurisdictions must be a list').optional().isArray(),
+  body('expiresAt', 'Expiry must be a date').optional({ nullable: true }).isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { isExempt, certificateNumber, jurisdictions, expiresAt } = req.body;
+
+    const existingUser = await User.findById(req.params.id).select('email taxExemption');
+
+    if (!existingUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      {
+        taxExemption: {
+          isExempt,
+          certificateNumber,
+          jurisdictions: jurisdictions || [],
+          expiresAt
+        }
+      },
+      { new: true, runValidators: true }
+    ).select('email taxExemption');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await recordAudit(req, 'user.tax_exemption', { type: 'User', id: user._id, label: user.email }, {
+      before: existingUser,
+      after: user
+    });
+
+    res.json({
+      success: true,
+      message: 'Tax exemption updated successfully',
+      taxExemption: user.taxExemption
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
 // @desc    Delete user
 // @route   DELETE /api/admin/users/:id
-// @access  Private/Admin
-router.delete('/users/:id', async (req, res) => {
+// @access  Private (users:manage)
+router.delete('/users/:id', requirePermission('users:manage'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
 
@@ -311,24 +647,91 @@ router.delete('/users/:id', async (req, res) => {
       });
     }
 
-    // Check if user has pending orders
-    const pendingOrders = await Order.countDocuments({
-      user: req.params.id,
-      status: { $in: ['pending', 'confirmed', 'processing', 'shipped'] }
+    if (!(await canChangeUser(req.user, user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to change this staff account (requires roles:manage and every permission its role grants)'
+      });
+    }
+
+    // Erase the account's personal data, keeping its orders and reviews.
+    // Accounts with orders, returns or refunds in progress are refused.
+    await eraseAccount(user);
+
+    // The erased profile is not copied into the audit log
+    await recordAudit(req, 'user.delete', { type: 'User', id: user._id, label: user.email });
+
+    res.json({
+      success: true,
+      message: 'User deleted successfully'
+    });
+  } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
     });
+  }
+});
+
+// @desc    Make users choose a new password: sign them out and email them
+//          a reset link
+// @route   POST /api/admin/users/password-reset
+// @access  Private (users:manage)
+router.post('/users/password-reset', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { userIds } = req.body;
 
-    if (pendingOrders > 0) {
+    if (!userIds || !Array.isArray(userIds) || userIds.length === 0) {
       return res.status(400).json({
         success: false,
-        message: 'Cannot delete user with pending orders'
+        message: 'User IDs array is required'
+      });
+    }
+
+    const users = await User.find({ _id: { $in: userIds }, deletedAt: null });
+
+    for (const user of users) {
+      if (!(await canChangeUser(req.user, user))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to change this staff account (requires roles:manage and every permission its role grants)'
+        });
+      }
+    }
+
+    for (const user of users) {
+      const resetToken = user.getResetPasswordToken(FORCED_RESET_HOURS * 60);
+      user.passwordResetRequired = true;
+      await user.save({ validateBeforeSave: false });
+
+      await revokeAllSessions(user._id, 'reset_required');
+
+      queueMail('passwordResetRequired', user.email, {
+        firstName: user.firstName,
+        resetUrl: `${process.env.CLIENT_URL}/reset-password/${resetToken}`,
+        expiresInHours: FORCED_RESET_HOURS
+      }).catch(error => {
+        console.error('Password reset email error:', error.message);
       });
     }
 
-    await User.findByIdAndDelete(req.params.id);
+    await recordAudits(req, users.map(user => ({
+      action: 'user.force_password_reset',
+      target: { type: 'User', id: user._id, label: user.email }
+    })));
 
     res.json({
       success: true,
-      message: 'User deleted successfully'
+      message: `Password reset required for ${users.length} users`,
+      count: users.length
     });
   } catch (error) {
     res.status(500).json({
@@ -341,8 +744,8 @@ router.delete('/users/:id', async (req, res) => {
 
 // @desc    Get product analytics
 // @route   GET /api/admin/products/analytics
-// @access  Private/Admin
-router.get('/products/analytics', async (req, res) => {
+// @access  Private (analytics:view)
+router.get('/products/analytics', requirePermission('analytics:view'), async (req, res) => {
   try {
     // Product status distribution
     const statusDistribution = await Product.aggregate([
@@ -415,8 +818,8 @@ router.get('/products/analytics', async (req, res) => {
 
 // @desc    Get low stock products
 // @route   GET /api/admin/products/low-stock
-// @access  Private/Admin
-router.get('/products/low-stock', async (req, res) => {
+// @access  Private (products:write)
+router.get('/products/low-stock', requirePermission('products:write'), async (req, res) => {
   try {
     const threshold = parseInt(req.query.threshold) || 10;
 
@@ -443,8 +846,8 @@ router.get('/products/low-stock', async (req, res) => {
 
 // @desc    Bulk update product status
 // @route   PUT /api/admin/products/bulk-status
-// @access  Private/Admin
-router.put('/products/bulk-status', async (req, res) => {
+// @access  Private (products:write)
+router.put('/products/bulk-status', requirePermission('products:write'), async (req, res) => {
   try {
     const { productIds, status } = req.body;
 
@@ -463,11 +866,22 @@ router.put('/products/bulk-status', async (req, res) => {
       });
     }
 
+    const products = await Product.find({ _id: { $in: productIds } }).select('name sku status');
+
     const result = await Product.updateMany(
       { _id: { $in: productIds } },
       { status }
     );
 
+    await recordAudits(req, products
+      .filter(product => product.status !== status)
+      .map(product => ({
+        action: 'product.bulk_status',
+        target: { type: 'Product', id: product._id, label: product.sku },
+        before: { status: product.status },
+        after: { status }
+      })));
+
     res.json({
       success: true,
       message: `Updated ${result.modifiedCount} products`,
@@ -482,10 +896,175 @@ router.put('/products/bulk-status', async (req, res) => {
   }
 });
 
+// @desc    Get the review moderation queue
+// @route   GET /api/admin/reviews
+// @access  Private (reviews:moderate)
+router.get('/reviews', requirePermission('reviews:moderate'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const status = req.query.status || 'queue';
+
+    if (!REVIEW_QUEUE_FILTERS[status]) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${Object.keys(REVIEW_QUEUE_FILTERS).join(', ')}`
+      });
+    }
+
+    // Reported reviews first, then the ones waiting longest
+    const [result] = await Product.aggregate([
+      { $unwind: '$reviews' },
+      { $match: REVIEW_QUEUE_FILTERS[status] },
+      { $sort: { 'reviews.flagged': -1, 'reviews.createdAt': 1 } },
+      {
+        $facet: {
+          reviews: [
+            { $skip: skip },
+            { $limit: limit },
+            {
+              $project: {
+                _id: '$reviews._id',
+                product: { _id: '$_id', name: '$name', sku: '$sku' },
+                user: '$reviews.user',
+                rating: '$reviews.rating',
+                comment: '$reviews.comment',
+                verified: '$reviews.verified',
+                status: { $ifNull: ['$reviews.status', 'approved'] },
+                flagged: { $ifNull: ['$reviews.flagged', false] },
+                reports: { $ifNull: ['$reviews.reports', []] },
+                helpfulCount: { $size: { $ifNull: ['$reviews.helpful', []] } },
+                unhelpfulCount: { $size: { $ifNull: ['$reviews.unhelpful', []] } },
+                editedAt: '$reviews.editedAt',
+                moderatedBy: '$reviews.moderatedBy',
+                moderatedAt: '$reviews.moderatedAt',
+                moderationNote: '$reviews.moderationNote',
+                createdAt: '$reviews.createdAt'
+              }
+            }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const reviews = await User.populate(result.reviews, [
+      { path: 'user', select: 'firstName lastName email' },
+      { path: 'reports.user', select: 'firstName lastName email' },
+      { path: 'moderatedBy', select: 'firstName lastName email' }
+    ]);
+    const total = result.total.length > 0 ? result.total[0].count : 0;
+
+    res.json({
+      success: true,
+      count: reviews.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      reviews
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Approve a review, or restore a hidden one
+// @route   PUT /api/admin/reviews/:reviewId/approve
+// @access  Private (reviews:moderate)
+router.put('/reviews/:reviewId/approve', requirePermission('reviews:moderate'), [
+  body('note', 'Note cannot be more than 500 characters').optional().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const review = await moderateReview(req, 'approved');
+
+    res.json({
+      success: true,
+      message: 'Review approved',
+      review
+    });
+  } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${error.path}`
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Hide a review from the product page and its rating
+// @route   PUT /api/admin/reviews/:reviewId/hide
+// @access  Private (reviews:moderate)
+router.put('/reviews/:reviewId/hide', requirePermission('reviews:moderate'), [
+  body('note', 'Note cannot be more than 500 characters').optional().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const review = await moderateReview(req, 'hidden');
+
+    res.json({
+      success: true,
+      message: 'Review hidden',
+      review
+    });
+  } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${error.path}`
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
 // @desc    Get sales analytics
 // @route   GET /api/admin/sales/analytics
-// @access  Private/Admin
-router.get('/sales/analytics', async (req, res) => {
+// @access  Private (analytics:view)
+router.get('/sales/analytics', requirePermission('analytics:view'), async (req, res) => {
   try {
     const { period = '30' } = req.query;
     const days = parseInt(period);
@@ -561,15 +1140,32 @@ router.get('/sales/analytics', async (req, res) => {
       { $sort: { revenue: -1 } }
     ]);
 
-    // Customer analytics
-    const customerAnalytics = await Order.aggregate([
+    // Tax collected by jurisdiction
+    const taxByJurisdiction = await Order.aggregate([
       { $match: { isPaid: true, createdAt: { $gte: startDate } } },
+      { $unwind: '$taxBreakdown' },
       {
         $group: {
-          _id: '$user',
-          totalSpent: { $sum: '$totalPrice' },
-          orderCount: { $sum: 1 },
-          avgOrderValue: { $avg: '$totalPrice' }
+          _id: '$taxBreakdown.jurisdiction',
+          country: { $first: '$taxBreakdown.country' },
+          state: { $first: '$taxBreakdown.state' },
+          taxCollected: { $sum: '$taxBreakdown.amount' },
+          taxableAmount: { $sum: '$taxBreakdown.taxableAmount' },
+          orders: { $sum: 1 }
+        }
+      },
+      { $sort: { taxCollected: -1 } }
+    ]);
+
+    // Customer analytics
+    const customerAnalytics = await Order.aggregate([
+      { $match: { isPaid: true, createdAt: { $gte: startDate } } },
+      {
+        $group: {
+          _id: '$user',
+          totalSpent: { $sum: '$totalPrice' },
+          orderCount: { $sum: 1 },
+          avgOrderValue: { $avg: '$totalPrice' }
         }
       },
       {
@@ -588,6 +1184,7 @@ router.get('/sales/analytics', async (req, res) => {
         salesByPeriod,
         bestSellingProducts,
         revenueByCategory,
+        taxByJurisdiction,
         customerAnalytics: customerAnalytics[0] || {}
       }
     });
@@ -602,8 +1199,8 @@ router.get('/sales/analytics', async (req, res) => {
 
 // @desc    Export data
 // @route   GET /api/admin/export/:type
-// @access  Private/Admin
-router.get('/export/:type', async (req, res) => {
+// @access  Private (analytics:view)
+router.get('/export/:type', requirePermission('analytics:view'), async (req, res) => {
   try {
     const { type } = req.params;
     const { startDate, endDate } = req.query;
@@ -660,4 +1257,778 @@ router.get('/export/:type', async (req, res) => {
   }
 });
 
+// @desc    Get all coupons
+// @route   GET /api/admin/coupons
+// @access  Private (coupons:manage)
+router.get('/coupons', requirePermission('coupons:manage'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    let query = {};
+
+    // Search by code
+    if (req.query.search) {
+      query.code = { $regex: req.query.search, $options: 'i' };
+    }
+
+    // Filter by active status
+    if (req.query.isActive !== undefined) {
+      query.isActive = req.query.isActive === 'true';
+    }
+
+    const coupons = await Coupon.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Coupon.countDocuments(query);
+
+    res.json({
+      success: true,
+      count: coupons.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      coupons
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get single coupon with redemption stats
+// @route   GET /api/admin/coupons/:id
+// @access  Private (coupons:manage)
+router.get('/coupons/:id', requirePermission('coupons:manage'), async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    const redemptionStats = await CouponRedemption.aggregate([
+      { $match: { coupon: coupon._id } },
+      {
+        $group: {
+          _id: null,
+          redemptions: { $sum: 1 },
+          totalDiscount: { $sum: '$discount' },
+          customers: { $addToSet: '$user' }
+        }
+      }
+    ]);
+
+    const stats = redemptionStats[0];
+
+    res.json({
+      success: true,
+      coupon,
+      stats: {
+        redemptions: stats?.redemptions || 0,
+        totalDiscount: stats?.totalDiscount || 0,
+        uniqueCustomers: stats?.customers.length || 0
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Create coupon
+// @route   POST /api/admin/coupons
+// @access  Private (coupons:manage)
+router.post('/coupons', requirePermission('coupons:manage'), [
+  body('code', 'Coupon code is required').notEmpty(),
+  body('type', 'Invalid coupon type').isIn(['percentage', 'fixed_amount', 'free_shipping', 'buy_x_get_y'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Usage is only ever counted by redemptions
+    const { usedCount, ...fields } = req.body;
+
+    const coupon = await Coupon.create({
+      ...fields,
+      createdBy: req.user.id
+    });
+
+    await recordAudit(req, 'coupon.create', { type: 'Coupon', id: coupon._id, label: coupon.code }, {
+      after: coupon
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      coupon
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 11000 ? 'A coupon with this code already exists' : error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Update coupon
+// @route   PUT /api/admin/coupons/:id
+// @access  Private (coupons:manage)
+router.put('/coupons/:id', requirePermission('coupons:manage'), async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    const { usedCount, createdBy, ...fields } = req.body;
+    const before = coupon.toObject();
+    coupon.set(fields);
+    await coupon.save();
+
+    await recordAudit(req, 'coupon.update', { type: 'Coupon', id: coupon._id, label: coupon.code }, {
+      before,
+      after: coupon
+    });
+
+    res.json({
+      success: true,
+      message: 'Coupon updated successfully',
+      coupon
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 11000 ? 'A coupon with this code already exists' : error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Delete coupon
+// @route   DELETE /api/admin/coupons/:id
+// @access  Private (coupons:manage)
+router.delete('/coupons/:id', requirePermission('coupons:manage'), async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    // Coupons that were redeemed stay on record for past orders
+    if (coupon.usedCount > 0) {
+      const before = coupon.toObject();
+      coupon.isActive = false;
+      await coupon.save();
+
+      await recordAudit(req, 'coupon.deactivate', { type: 'Coupon', id: coupon._id, label: coupon.code }, {
+        before,
+        after: coupon
+      });
+
+      return res.json({
+        success: true,
+        message: 'Coupon has been redeemed before and was deactivated instead of deleted',
+        coupon
+      });
+    }
+
+    await Coupon.findByIdAndDelete(req.params.id);
+
+    await recordAudit(req, 'coupon.delete', { type: 'Coupon', id: coupon._id, label: coupon.code }, {
+      before: coupon
+    });
+
+    res.json({
+      success: true,
+      message: 'Coupon deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get abandoned cart recovery report
+// @route   GET /api/admin/abandoned-carts/report
+// @access  Private (analytics:view)
+router.get('/abandoned-carts/report', requirePermission('analytics:view'), async (req, res) => {
+  try {
+    const { period = '30' } = req.query;
+    const days = parseInt(period);
+    const startDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    const report = await getRecoveryReport(startDate);
+
+    const recentRecoveries = await CartRecovery.find({
+      status: 'recovered',
+      recoveredAt: { $gte: startDate }
+    })
+      .populate('user', 'firstName lastName email')
+      .populate('order', 'orderNumber totalPrice status')
+      .sort({ recoveredAt: -1 })
+      .limit(10);
+
+    res.json({
+      success: true,
+      period: days,
+      report,
+      recentRecoveries
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get shipping zones
+// @route   GET /api/admin/shipping-zones
+// @access  Private (shipping:manage)
+router.get('/shipping-zones', requirePermission('shipping:manage'), async (req, res) => {
+  try {
+    const zones = await ShippingZone.find().sort({ name: 1 });
+
+    res.json({
+      success: true,
+      count: zones.length,
+      zones
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Create shipping zone
+// @route   POST /api/admin/shipping-zones
+// @access  Private (shipping:manage)
+router.post('/shipping-zones', requirePermission('shipping:manage'), [
+  body('name', 'Zone name is required').notEmpty(),
+  body('countries', 'At least one country is required').isArray({ min: 1 }),
+  body('methods', 'Methods must be a list').optional().isArray(),
+  body('methods.*.code', 'Invalid shipping method').optional().isIn(['standard', 'express', 'pickup'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const zone = await ShippingZone.create(req.body);
+
+    await recordAudit(req, 'shipping_zone.create', { type: 'ShippingZone', id: zone._id, label: zone.name }, {
+      after: zone
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Shipping zone created successfully',
+      zone
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Update shipping zone
+// @route   PUT /api/admin/shipping-zones/:id
+// @access  Private (shipping:manage)
+router.put('/shipping-zones/:id', requirePermission('shipping:manage'), async (req, res) => {
+  try {
+    const zone = await ShippingZone.findById(req.params.id);
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping zone not found'
+      });
+    }
+
+    const before = zone.toObject();
+    zone.set(req.body);
+    await zone.save();
+
+    await recordAudit(req, 'shipping_zone.update', { type: 'ShippingZone', id: zone._id, label: zone.name }, {
+      before,
+      after: zone
+    });
+
+    res.json({
+      success: true,
+      message: 'Shipping zone updated successfully',
+      zone
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Delete shipping zone
+// @route   DELETE /api/admin/shipping-zones/:id
+// @access  Private (shipping:manage)
+router.delete('/shipping-zones/:id', requirePermission('shipping:manage'), async (req, res) => {
+  try {
+    const zone = await ShippingZone.findByIdAndDelete(req.params.id);
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping zone not found'
+      });
+    }
+
+    await recordAudit(req, 'shipping_zone.delete', { type: 'ShippingZone', id: zone._id, label: zone.name }, {
+      before: zone
+    });
+
+    res.json({
+      success: true,
+      message: 'Shipping zone deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get roles and the permissions they can be given
+// @route   GET /api/admin/roles
+// @access  Private (roles:manage)
+router.get('/roles', requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const customRoles = await Role.find().sort({ name: 1 });
+
+    const userCounts = await User.aggregate([
+      { $group: { _id: '$role', count: { $sum: 1 } } }
+    ]);
+    const countsByRole = new Map(userCounts.map(entry => [entry._id, entry.count]));
+
+    const roles = [
+      ...Object.entries(builtInRoles).map(([name, rolePermissions]) => ({
+        name,
+        permissions: rolePermissions,
+        builtIn: true
+      })),
+      ...customRoles.map(role => ({ ...role.toObject(), builtIn: false }))
+    ].map(role => ({ ...role, userCount: countsByRole.get(role.name) || 0 }));
+
+    res.json({
+      success: true,
+      roles,
+      permissions
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Create role
+// @route   POST /api/admin/roles
+// @access  Private (roles:manage)
+router.post('/roles', requirePermission('roles:manage'), [
+  body('name', 'Role name is required').notEmpty(),
+  body('permissions', 'Permissions must be a list').isArray()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!(await hasAllPermissions(req.user, req.body.permissions))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to grant permissions you do not have'
+      });
+    }
+
+    const role = await Role.create({
+      name: req.body.name,
+      description: req.body.description,
+      permissions: [...new Set(req.body.permissions)],
+      createdBy: req.user._id
+    });
+
+    await recordAudit(req, 'role.create', { type: 'Role', id: role._id, label: role.name }, {
+      after: role
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      role
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 11000 ? 'A role with this name already exists' : error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Update role description or permissions
+// @route   PUT /api/admin/roles/:id
+// @access  Private (roles:manage)
+router.put('/roles/:id', requirePermission('roles:manage'), [
+  body('permissions', 'Permissions must be a list').optional().isArray()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    // Roles that grant more than the caller has are out of their reach, and
+    // so are permissions they do not have themselves
+    const permissions = [...role.permissions, ...(req.body.permissions || [])];
+    if (!(await hasAllPermissions(req.user, permissions))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to grant permissions you do not have'
+      });
+    }
+
+    const before = role.toObject();
+
+    // Renaming would strand the users holding the role
+    if (req.body.description !== undefined) {
+      role.description = req.body.description;
+    }
+    if (req.body.permissions !== undefined) {
+      role.permissions = [...new Set(req.body.permissions)];
+    }
+    await role.save();
+
+    await recordAudit(req, 'role.update', { type: 'Role', id: role._id, label: role.name }, {
+      before,
+      after: role
+    });
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      role
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Delete role
+// @route   DELETE /api/admin/roles/:id
+// @access  Private (roles:manage)
+router.delete('/roles/:id', requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    // As with changing a role, one that grants more than the caller has is
+    // out of their reach
+    if (!(await hasAllPermissions(req.user, role.permissions))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete a role with permissions you do not have'
+      });
+    }
+
+    const assignedUsers = await User.countDocuments({ role: role.name });
+    if (assignedUsers > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete a role assigned to ${assignedUsers} user(s)`
+      });
+    }
+
+    await role.deleteOne();
+
+    await recordAudit(req, 'role.delete', { type: 'Role', id: role._id, label: role.name }, {
+      before: role
+    });
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get account and IP lockouts after failed logins and resets
+// @route   GET /api/admin/lockouts
+// @access  Private (users:manage)
+router.get('/lockouts', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    let query = {};
+
+    // Filter by action (login, password_reset) and kind (account, ip)
+    if (req.query.action) {
+      query.action = req.query.action;
+    }
+    if (req.query.kind) {
+      query.kind = req.query.kind;
+    }
+
+    // Search by email or IP address
+    if (req.query.search) {
+      query.value = { $regex: req.query.search, $options: 'i' };
+    }
+
+    // Only lockouts still in force
+    if (req.query.active === 'true') {
+      query.lockedUntil = { $gt: new Date() };
+    }
+
+    const lockouts = await LockoutEvent.find(query)
+      .populate('user', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await LockoutEvent.countDocuments(query);
+
+    res.json({
+      success: true,
+      count: lockouts.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      lockouts
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get the audit log of privileged changes
+// @route   GET /api/admin/audit
+// @access  Private (audit:view)
+router.get('/audit', requirePermission('audit:view'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = getAuditQuery(req.query);
+
+    const entries = await AuditLog.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await AuditLog.countDocuments(query);
+
+    res.json({
+      success: true,
+      count: entries.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      entries
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${error.path}`
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Export the audit log as JSON or CSV
+// @route   GET /api/admin/audit/export
+// @access  Private (audit:view)
+router.get('/audit/export', requirePermission('audit:view'), async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be json or csv'
+      });
+    }
+
+    const entries = await AuditLog.find(getAuditQuery(req.query))
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const filename = `audit_export_${Date.now()}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+
+    if (format === 'csv') {
+      const rows = [
+        AUDIT_CSV_COLUMNS.map(([name]) => name).join(','),
+        ...entries.map(entry => AUDIT_CSV_COLUMNS.map(([, get]) => toCsvValue(get(entry))).join(','))
+      ];
+      res.setHeader('Content-Type', 'text/csv');
+      return res.send(rows.join('\r\n'));
+    }
+
+    res.setHeader('Content-Type', 'application/json');
+    res.json({
+      success: true,
+      data: entries,
+      exportedAt: new Date(),
+      count: entries.length
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${error.path}`
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,11 +1,159 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const { body, validationResult } = require('express-validator');
 const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
 const User = require('../models/User');
-const { protect } = require('../middleware/auth');
+const { protect, blockImpersonation } = require('../middleware/auth');
+const { mergeGuestCart } = require('../services/cart');
+const { queueMail } = require('../services/mail');
+const {
+  createSession,
+  rotateSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions
+} = require('../services/sessions');
+const {
+  findUserWithTwoFactor,
+  isTwoFactorRequired,
+  startTwoFactorSetup,
+  generateBackupCodes,
+  enableTwoFactor,
+  verifySecondFactor,
+  disableTwoFactor,
+  getLoginChallengeToken,
+  verifyLoginChallengeToken
+} = require('../services/twoFactor');
+const { checkThrottle, recordFailure, clearFailures } = require('../services/authThrottle');
+const { getPermissions } = require('../services/permissions');
+const {
+  PASSWORD_FIELDS,
+  assertPasswordAllowed,
+  setPassword,
+  describePolicy
+} = require('../services/passwordPolicy');
+const {
+  listProviders,
+  getAuthorizationUrl,
+  completeAuthorization,
+  findOrCreateUser,
+  linkIdentity,
+  unlinkIdentity
+} = require('../services/oauth');
+const ErrorResponse = require('../utils/errorResponse');
 
 const router = express.Router();
 
+// Minimum time between two verification emails to the same account
+const VERIFICATION_RESEND_COOLDOWN = 60 * 1000;
+
+// Resends per IP, on top of the per-account cooldown
+const resendLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  message: {
+    success: false,
+    message: 'Too many verification emails requested, please try again later'
+  }
+});
+
+// Compared against when a login is for an email no account has, so the
+// response takes as long as for a wrong password
+let dummyPasswordHash;
+const getDummyPasswordHash = () => {
+  if (!dummyPasswordHash) {
+    dummyPasswordHash = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+  }
+  return dummyPasswordHash;
+};
+
+// Attempts per IP at anything taking a two-factor code
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: {
+    success: false,
+    message: 'Too many authentication attempts, please try again later'
+  }
+});
+
+// Email the link for a token from user.getEmailVerificationToken(). Only
+// the hash is stored, so the user is saved before the link goes out.
+const sendVerificationEmail = (user, verificationToken) => {
+  return queueMail('emailVerification', user.email, {
+    firstName: user.firstName,
+    verificationUrl: `${process.env.CLIENT_URL}/verify-email/${verificationToken}`
+  });
+};
+
+// Merge the guest cart sent as X-Cart-Token into the user's cart and save
+// the user. The guest cart is only deleted once the user is saved, so a
+// failed save leaves it to be merged on the next sign in. A bad or expired
+// token must not stop the sign in, so it is only reported back.
+const mergeCartOnSignIn = async (user, req) => {
+  const cartToken = req.headers['x-cart-token'];
+  let guestCart = null;
+  let cartMerge;
+
+  if (cartToken) {
+    try {
+      const merge = await mergeGuestCart(user, cartToken);
+      guestCart = merge.guestCart;
+      cartMerge = { merged: true, adjustments: merge.adjustments };
+    } catch (error) {
+      cartMerge = { merged: false, message: 'Guest cart could not be found' };
+    }
+  }
+
+  await user.save();
+
+  if (guestCart) {
+    await guestCart.deleteOne().catch(error => {
+      console.error('Guest cart cleanup error:', error.message);
+    });
+  }
+
+  return cartMerge;
+};
+
+// Finish signing a user in once they have proved who they are: merge their
+// guest cart, record the login and start a session. Returns the tokens and
+// profile the login responses carry.
+const completeLogin = async (user, req) => {
+  // Update last login
+  user.lastLogin = new Date();
+  const cartMerge = await mergeCartOnSignIn(user, req);
+
+  const tokens = await createSession(user, req);
+
+  return {
+    ...tokens,
+    cartMerge,
+    user: {
+      id: user._id,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      email: user.email,
+      role: user.role,
+      avatar: user.avatar,
+      isEmailVerified: user.isEmailVerified,
+      twoFactorEnabled: user.twoFactor.enabled,
+      deletionScheduledFor: user.deletionScheduledFor
+    }
+  };
+};
+
+// @desc    Get the rules new passwords must meet
+// @route   GET /api/auth/password-policy
+// @access  Public
+router.get('/password-policy', (req, res) => {
+  res.json({
+    success: true,
+    policy: describePolicy()
+  });
+});
+
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
@@ -13,7 +161,577 @@ router.post('/register', [
   body('firstName', 'First name is required').notEmpty(),
   body('lastName', 'Last name is required').notEmpty(),
   body('email', 'Please include a valid email').isEmail(),
-  body('password', 'Password must be at least 6 characters').isLength({ min: 6 })
+  body('password', 'Password is required').notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { firstName, lastName, email, password } = req.body;
+
+    await assertPasswordAllowed(password);
+
+    // Check if user exists
+    const existingUser = await User.findOne({ email: email.toLowerCase() });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'User already exists with this email'
+      });
+    }
+
+    // Create user
+    const user = new User({
+      firstName,
+      lastName,
+      email,
+      password
+    });
+
+    const verificationToken = user.getEmailVerificationToken();
+    const cartMerge = await mergeCartOnSignIn(user, req);
+
+    // Emails that cannot be queued must not fail the registration; the
+    // verification email can be requested again
+    queueMail('welcome', user.email, { firstName: user.firstName }).catch(error => {
+      console.error('Welcome email error:', error.message);
+    });
+    sendVerificationEmail(user, verificationToken).catch(error => {
+      console.error('Verification email error:', error.message);
+    });
+
+    const tokens = await createSession(user, req);
+
+    res.status(201).json({
+      success: true,
+      message: 'User registered successfully',
+      ...tokens,
+      cartMerge,
+      user: {
+        id: user._id,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        email: user.email,
+        role: user.role,
+        isEmailVerified: user.isEmailVerified
+      }
+    });
+  } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error during registration',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Login user
+// @route   POST /api/auth/login
+// @access  Public
+router.post('/login', [
+  body('email', 'Please include a valid email').isEmail(),
+  body('password', 'Password is required').exists()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email, password } = req.body;
+    const identity = { email, ip: req.ip };
+
+    await checkThrottle('login', identity);
+
+    // Check for user
+    const user = await User.findOne({ email }).select('+password');
+
+    // Check if password matches. Unknown emails get the same answer, and
+    // count as failures the same way, as wrong passwords.
+    let isMatch = false;
+    if (user) {
+      isMatch = await user.matchPassword(password);
+    } else {
+      await bcrypt.compare(password, getDummyPasswordHash());
+    }
+
+    if (!isMatch) {
+      await recordFailure('login', identity, {
+        user: user ? user._id : undefined,
+        userAgent: req.get('user-agent')
+      });
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    // An admin has asked for a new password, which the reset email sets
+    if (user.passwordResetRequired) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your password must be changed. Use the link we emailed you, or request a new one',
+        code: 'PASSWORD_RESET_REQUIRED'
+      });
+    }
+
+    // With two-factor on, the password only earns a challenge token to
+    // finish the login with at POST /api/auth/2fa/login
+    if (user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        twoFactorRequired: true,
+        challengeToken: getLoginChallengeToken(user)
+      });
+    }
+
+    await clearFailures('login', identity);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      ...(await completeLogin(user, req))
+    });
+  } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Finish a login with a two-factor code
+// @route   POST /api/auth/2fa/login
+// @access  Public (with a login challenge token)
+router.post('/2fa/login', twoFactorLimiter, [
+  body('challengeToken', 'Challenge token is required').notEmpty(),
+  body('code', 'Authentication code is required').notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let userId;
+    try {
+      userId = verifyLoginChallengeToken(req.body.challengeToken);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login has expired, please sign in again'
+      });
+    }
+
+    const user = await findUserWithTwoFactor(userId);
+
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login has expired, please sign in again'
+      });
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const identity = { email: user.email, ip: req.ip };
+    await checkThrottle('login', identity);
+
+    const verification = await verifySecondFactor(user, req.body.code);
+
+    if (!verification) {
+      await recordFailure('login', identity, {
+        user: user._id,
+        userAgent: req.get('user-agent')
+      });
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await clearFailures('login', identity);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      ...(await completeLogin(user, req)),
+      backupCodesRemaining: verification.backupCodesRemaining
+    });
+  } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get the social and single sign-on providers that are set up
+// @route   GET /api/auth/oauth/providers
+// @access  Public
+router.get('/oauth/providers', (req, res) => {
+  res.json({
+    success: true,
+    providers: listProviders()
+  });
+});
+
+// @desc    Start signing in with a provider
+// @route   POST /api/auth/oauth/:provider/start
+// @access  Public
+router.post('/oauth/:provider/start', async (req, res) => {
+  try {
+    const { url, state } = await getAuthorizationUrl(req.params.provider);
+
+    res.json({
+      success: true,
+      url,
+      state
+    });
+  } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Finish signing in with a provider, with the code and state it
+//          sent back to OAUTH_REDIRECT_URI
+// @route   POST /api/auth/oauth/:provider/callback
+// @access  Public
+router.post('/oauth/:provider/callback', twoFactorLimiter, [
+  body('code', 'Authorization code is required').notEmpty(),
+  body('state', 'State is required').notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { profile, link } = await completeAuthorization(req.params.provider, req.body);
+
+    if (link) {
+      return res.status(400).json({
+        success: false,
+        message: 'This sign-in was started to link an account'
+      });
+    }
+
+    const { user, created, linked } = await findOrCreateUser(profile);
+
+    if (!user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'User account is deactivated'
+      });
+    }
+
+    if (created) {
+      queueMail('welcome', user.email, { firstName: user.firstName }).catch(error => {
+        console.error('Welcome email error:', error.message);
+      });
+    }
+
+    // The provider stands in for the password, not for the second factor
+    if (user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        twoFactorRequired: true,
+        challengeToken: getLoginChallengeToken(user)
+      });
+    }
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'User registered successfully' : 'Login successful',
+      ...(await completeLogin(user, req)),
+      created,
+      linked: Boolean(linked)
+    });
+  } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get the current user's linked sign-in providers
+// @route   GET /api/auth/identities
+// @access  Private
+router.get('/identities', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+password');
+
+    res.json({
+      success: true,
+      identities: user.identities,
+      hasPassword: Boolean(user.password),
+      providers: listProviders()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Start linking a provider to the current user
+// @route   POST /api/auth/identities/:provider/start
+// @access  Private
+router.post('/identities/:provider/start', protect, blockImpersonation, async (req, res) => {
+  try {
+    const { url, state } = await getAuthorizationUrl(req.params.provider, { userId: req.user._id });
+
+    res.json({
+      success: true,
+      url,
+      state
+    });
+  } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Finish linking a provider to the current user
+// @route   POST /api/auth/identities/:provider
+// @access  Private
+router.post('/identities/:provider', protect, blockImpersonation, [
+  body('code', 'Authorization code is required').notEmpty(),
+  body('state', 'State is required').notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { profile, link } = await completeAuthorization(req.params.provider, req.body);
+
+    if (link !== String(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This sign-in was not started to link your account'
+      });
+    }
+
+    const identity = await linkIdentity(req.user, profile);
+
+    res.status(201).json({
+      success: true,
+      message: `${profile.providerName} account linked`,
+      identity
+    });
+  } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Unlink a sign-in provider from the current user
+// @route   DELETE /api/auth/identities/:id
+// @access  Private
+router.delete('/identities/:id', protect, blockImpersonation, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+password');
+
+    await unlinkIdentity(user, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Linked account removed'
+    });
+  } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Start two-factor setup
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+router.post('/2fa/setup', protect, blockImpersonation, async (req, res) => {
+  try {
+    const user = await findUserWithTwoFactor(req.user.id);
+    const { secret, otpauthUrl } = await startTwoFactorSetup(user);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm a code',
+      secret,
+      otpauthUrl
+    });
+  } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Confirm a code and turn two-factor on
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+router.post('/2fa/enable', protect, blockImpersonation, twoFactorLimiter, [
+  body('code', 'Authentication code is required').notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await findUserWithTwoFactor(req.user.id);
+    const backupCodes = await enableTwoFactor(user, req.body.code);
+
+    // Devices signed in with just the password have to sign in again
+    await revokeAllSessions(user._id, 'two_factor_enabled', { except: req.sessionId });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your backup codes somewhere safe.',
+      backupCodes
+    });
+  } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Replace the backup codes
+// @route   POST /api/auth/2fa/backup-codes
+// @access  Private
+router.post('/2fa/backup-codes', protect, blockImpersonation, twoFactorLimiter, [
+  body('code', 'Authentication code is required').notEmpty()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -25,54 +743,44 @@ router.post('/register', [
       });
     }
 
-    const { firstName, lastName, email, password } = req.body;
+    const user = await findUserWithTwoFactor(req.user.id);
 
-    // Check if user exists
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
+    if (!user.twoFactor.enabled) {
       return res.status(400).json({
         success: false,
-        message: 'User already exists with this email'
+        message: 'Two-factor authentication is not enabled'
       });
     }
 
-    // Create user
-    const user = await User.create({
-      firstName,
-      lastName,
-      email,
-      password
-    });
+    if (!(await verifySecondFactor(user, req.body.code))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
 
-    const token = user.getSignedJwtToken();
+    const backupCodes = generateBackupCodes(user);
+    await user.save({ validateBeforeSave: false });
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'User registered successfully',
-      token,
-      user: {
-        id: user._id,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        email: user.email,
-        role: user.role
-      }
+      message: 'New backup codes generated. The old ones no longer work.',
+      backupCodes
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Server error during registration',
+      message: 'Server error',
       error: error.message
     });
   }
 });
 
-// @desc    Login user
-// @route   POST /api/auth/login
-// @access  Public
-router.post('/login', [
-  body('email', 'Please include a valid email').isEmail(),
-  body('password', 'Password is required').exists()
+// @desc    Turn two-factor off
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+router.post('/2fa/disable', protect, blockImpersonation, twoFactorLimiter, [
+  body('code', 'Authentication code is required').notEmpty()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -84,51 +792,156 @@ router.post('/login', [
       });
     }
 
-    const { email, password } = req.body;
+    const user = await findUserWithTwoFactor(req.user.id).select('+password');
 
-    // Check for user
-    const user = await User.findOne({ email }).select('+password');
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
 
-    if (!user) {
-      return res.status(401).json({
+    if (await isTwoFactorRequired(user)) {
+      return res.status(403).json({
         success: false,
-        message: 'Invalid credentials'
+        message: 'Two-factor authentication is required for staff accounts'
       });
     }
 
-    // Check if password matches
-    const isMatch = await user.matchPassword(password);
+    // Accounts without a password only need the code
+    if (user.password && !(await user.matchPassword(req.body.password))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
 
-    if (!isMatch) {
+    if (!(await verifySecondFactor(user, req.body.code))) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid credentials'
+        message: 'Invalid authentication code'
       });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
+    await disableTwoFactor(user);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get new access and refresh tokens
+// @route   POST /api/auth/refresh
+// @access  Public (with a refresh token)
+router.post('/refresh', [
+  body('refreshToken', 'Refresh token is required').notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
 
-    const token = user.getSignedJwtToken();
+    const { token, refreshToken } = await rotateSession(req.body.refreshToken, req);
 
     res.json({
       success: true,
-      message: 'Login successful',
       token,
-      user: {
-        id: user._id,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        email: user.email,
-        role: user.role,
-        avatar: user.avatar
-      }
+      refreshToken
     });
   } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
-      message: 'Server error during login',
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Log out of the current session
+// @route   POST /api/auth/logout
+// @access  Private
+router.post('/logout', protect, blockImpersonation, async (req, res) => {
+  try {
+    await revokeSession(req.user._id, req.sessionId, 'logout');
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get the devices the user is signed in on
+// @route   GET /api/auth/sessions
+// @access  Private
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user._id);
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        ...session.toObject(),
+        current: session._id.toString() === req.sessionId
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Sign out one device
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+router.delete('/sessions/:id', protect, blockImpersonation, async (req, res) => {
+  try {
+    const session = await revokeSession(req.user._id, req.params.id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
       error: error.message
     });
   }
@@ -140,12 +953,17 @@ router.post('/login', [
 router.get('/me', protect, async (req, res) => {
   try {
     const user = await User.findById(req.user.id)
-      .populate('cart.product', 'name price images stock')
+      .populate('cart.product', 'name price images stock combinations')
       .populate('wishlist', 'name price images averageRating');
 
     res.json({
       success: true,
-      user
+      user,
+      permissions: await getPermissions(user),
+      // Set while an admin is signed in as this customer
+      impersonatedBy: req.impersonator
+        ? { id: req.impersonator._id, email: req.impersonator.email }
+        : undefined
     });
   } catch (error) {
     res.status(500).json({
@@ -159,7 +977,7 @@ router.get('/me', protect, async (req, res) => {
 // @desc    Update user profile
 // @route   PUT /api/auth/profile
 // @access  Private
-router.put('/profile', protect, [
+router.put('/profile', protect, blockImpersonation, [
   body('firstName', 'First name is required').optional().notEmpty(),
   body('lastName', 'Last name is required').optional().notEmpty(),
   body('email', 'Please include a valid email').optional().isEmail()
@@ -187,12 +1005,28 @@ router.put('/profile', protect, [
       fieldsToUpdate[key] === undefined && delete fieldsToUpdate[key]
     );
 
-    const user = await User.findByIdAndUpdate(
+    // A new email address has to be verified again
+    const emailChanged = fieldsToUpdate.email !== undefined &&
+      fieldsToUpdate.email.toLowerCase() !== req.user.email;
+    if (emailChanged) {
+      fieldsToUpdate.isEmailVerified = false;
+    }
+
+    let user = await User.findByIdAndUpdate(
       req.user.id,
       fieldsToUpdate,
       { new: true, runValidators: true }
     );
 
+    if (emailChanged) {
+      const verificationToken = user.getEmailVerificationToken();
+      user = await user.save({ validateBeforeSave: false });
+
+      sendVerificationEmail(user, verificationToken).catch(error => {
+        console.error('Verification email error:', error.message);
+      });
+    }
+
     res.json({
       success: true,
       message: 'Profile updated successfully',
@@ -210,9 +1044,8 @@ router.put('/profile', protect, [
 // @desc    Change password
 // @route   PUT /api/auth/password
 // @access  Private
-router.put('/password', protect, [
-  body('currentPassword', 'Current password is required').notEmpty(),
-  body('newPassword', 'New password must be at least 6 characters').isLength({ min: 6 })
+router.put('/password', protect, blockImpersonation, [
+  body('newPassword', 'New password is required').notEmpty()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -224,22 +1057,24 @@ router.put('/password', protect, [
       });
     }
 
-    const user = await User.findById(req.user.id).select('+password');
-
-    // Check current password
-    const isMatch = await user.matchPassword(req.body.currentPassword);
+    const user = await User.findById(req.user.id).select(PASSWORD_FIELDS);
 
-    if (!isMatch) {
+    // Check current password. Accounts created through a linked identity
+    // have none and can set their first one here.
+    if (user.password && !(await user.matchPassword(req.body.currentPassword))) {
       return res.status(400).json({
         success: false,
         message: 'Current password is incorrect'
       });
     }
 
-    user.password = req.body.newPassword;
+    await setPassword(user, req.body.newPassword);
     await user.save();
 
-    const token = user.getSignedJwtToken();
+    // Every other device has to sign in with the new password
+    await revokeAllSessions(user._id, 'password_changed', { except: req.sessionId });
+
+    const token = user.getSignedJwtToken(req.sessionId);
 
     res.json({
       success: true,
@@ -247,6 +1082,14 @@ router.put('/password', protect, [
       token
     });
   } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -271,35 +1114,42 @@ router.post('/forgot-password', [
       });
     }
 
-    const user = await User.findOne({ email: req.body.email });
+    const identity = { email: req.body.email, ip: req.ip };
 
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'No user found with that email'
-      });
-    }
+    await checkThrottle('password_reset', identity);
 
-    // Get reset token
-    const resetToken = user.getResetPasswordToken();
+    // Every request counts, so reset emails cannot be used to flood an inbox
+    await recordFailure('password_reset', identity, { userAgent: req.get('user-agent') });
 
-    await user.save({ validateBeforeSave: false });
+    const user = await User.findOne({ email: req.body.email });
 
-    // TODO: Send email with reset token
-    // For now, we'll return the token in development
-    if (process.env.NODE_ENV === 'development') {
-      return res.json({
-        success: true,
-        message: 'Reset token generated',
-        resetToken
+    // The answer is the same whether or not an account has the email
+    if (user) {
+      // Get reset token
+      const resetToken = user.getResetPasswordToken();
+
+      await user.save({ validateBeforeSave: false });
+
+      await queueMail('passwordReset', user.email, {
+        firstName: user.firstName,
+        resetUrl: `${process.env.CLIENT_URL}/reset-password/${resetToken}`,
+        expiresInMinutes: 10
       });
     }
 
     res.json({
       success: true,
-      message: 'Password reset email sent'
+      message: 'If an account exists for that email, a password reset link has been sent'
     });
   } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -312,7 +1162,7 @@ router.post('/forgot-password', [
 // @route   PUT /api/auth/reset-password/:resettoken
 // @access  Public
 router.put('/reset-password/:resettoken', [
-  body('password', 'Password must be at least 6 characters').isLength({ min: 6 })
+  body('password', 'Password is required').notEmpty()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -324,6 +1174,9 @@ router.put('/reset-password/:resettoken', [
       });
     }
 
+    // Guessing reset tokens counts against the IP address
+    await checkThrottle('password_reset', { ip: req.ip });
+
     // Get hashed token
     const resetPasswordToken = crypto
       .createHash('sha256')
@@ -333,27 +1186,127 @@ router.put('/reset-password/:resettoken', [
     const user = await User.findOne({
       resetPasswordToken,
       resetPasswordExpire: { $gt: Date.now() }
-    });
+    }).select(PASSWORD_FIELDS);
 
     if (!user) {
+      await recordFailure('password_reset', { ip: req.ip }, { userAgent: req.get('user-agent') });
+
       return res.status(400).json({
         success: false,
         message: 'Invalid or expired token'
       });
     }
 
-    // Set new password
-    user.password = req.body.password;
+    // Set new password. A password the policy rejects leaves the token
+    // valid to try again.
+    await setPassword(user, req.body.password);
     user.resetPasswordToken = undefined;
     user.resetPasswordExpire = undefined;
     await user.save();
 
-    const token = user.getSignedJwtToken();
+    // Whoever knew the old password is signed out everywhere
+    await revokeAllSessions(user._id, 'password_reset');
+
+    // Having proved they own the email, the user is not locked out any more
+    await clearFailures('login', { email: user.email });
+
+    const tokens = await createSession(user, req);
 
     res.json({
       success: true,
       message: 'Password reset successful',
-      token
+      ...tokens
+    });
+  } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Verify email address
+// @route   GET /api/auth/verify-email/:token
+// @access  Public
+router.get('/verify-email/:token', async (req, res) => {
+  try {
+    const emailVerificationToken = crypto
+      .createHash('sha256')
+      .update(req.params.token)
+      .digest('hex');
+
+    const user = await User.findOne({
+      emailVerificationToken,
+      emailVerificationExpire: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification link'
+      });
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Resend email verification link
+// @route   POST /api/auth/resend-verification
+// @access  Private
+router.post('/resend-verification', resendLimiter, protect, async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const sentAt = user.emailVerificationSentAt ? user.emailVerificationSentAt.getTime() : 0;
+    const retryAfter = Math.ceil((sentAt + VERIFICATION_RESEND_COOLDOWN - Date.now()) / 1000);
+
+    if (retryAfter > 0) {
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${retryAfter} seconds before requesting another email`,
+        retryAfter
+      });
+    }
+
+    const verificationToken = user.getEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+
+    await sendVerificationEmail(user, verificationToken);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
     });
   } catch (error) {
     res.status(500).json({
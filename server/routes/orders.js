@@ -1,17 +1,41 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const Order = require('../models/Order');
-const Product = require('../models/Product');
 const User = require('../models/User');
-const { protect, authorize } = require('../middleware/auth');
+const GuestCart = require('../models/GuestCart');
+const {
+  protect,
+  requirePermission,
+  optionalAuth,
+  requireVerifiedEmail,
+  blockImpersonation
+} = require('../middleware/auth');
+const { resolveCart } = require('../middleware/cart');
+const { priceOrder, summarizePricing, diffPricing } = require('../services/pricing');
+const { holdStock } = require('../services/inventory');
+const {
+  reviewCart,
+  getCartWarnings,
+  getCheckoutLines,
+  removeOrderedItems
+} = require('../services/cart');
+const { attributeRecovery } = require('../services/cartRecovery');
+const { normalizeCodes, redeemCoupons } = require('../services/coupons');
+const { getEstimatedDelivery } = require('../services/shipping');
+const { transitionOrder, getAllowedTransitions } = require('../services/orderStatus');
+const { hasPermission } = require('../services/permissions');
+const { recordAudit } = require('../services/audit');
+const ErrorResponse = require('../utils/errorResponse');
 
 const router = express.Router();
 
 // @desc    Create new order
 // @route   POST /api/orders
-// @access  Private
-router.post('/', protect, [
+// @access  Public (guests give an email)
+router.post('/', optionalAuth, blockImpersonation, requireVerifiedEmail('checkout'), resolveCart, [
   body('orderItems', 'Order items are required').isArray({ min: 1 }),
+  body('email', 'Please include a valid email').if((value, { req }) => !req.user).isEmail(),
   body('shippingAddress.firstName', 'First name is required').notEmpty(),
   body('shippingAddress.lastName', 'Last name is required').notEmpty(),
   body('shippingAddress.street', 'Street address is required').notEmpty(),
@@ -20,8 +44,9 @@ router.post('/', protect, [
   body('shippingAddress.zipCode', 'Zip code is required').notEmpty(),
   body('shippingAddress.country', 'Country is required').notEmpty(),
   body('paymentMethod', 'Payment method is required').notEmpty(),
-  body('itemsPrice', 'Items price is required').isNumeric(),
-  body('totalPrice', 'Total price is required').isNumeric()
+  body('orderItems.*.product', 'Product is required for every order item').isMongoId(),
+  body('orderItems.*.variant', 'Invalid variant').optional().isMongoId(),
+  body('orderItems.*.quantity', 'Quantity must be a positive number').isInt({ min: 1 })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -37,71 +62,180 @@ router.post('/', protect, [
       orderItems,
       shippingAddress,
       billingAddress,
-      paymentMethod,
-      itemsPrice,
-      taxPrice,
-      shippingPrice,
-      totalPrice,
-      couponCode,
-      discountAmount
+      paymentMethod
     } = req.body;
 
-    // Verify all products exist and have sufficient stock
-    for (let item of orderItems) {
-      const product = await Product.findById(item.product);
-      
-      if (!product) {
-        return res.status(404).json({
-          success: false,
-          message: `Product not found: ${item.name}`
-        });
-      }
+    // The lines being ordered must not have unresolved warnings (price
+    // changes, missing stock, unavailable products), whether or not they
+    // came from the cart. The shopper reviews them or resolves cart lines
+    // with POST /api/users/cart/fix.
+    const cartWarnings = getCartWarnings(
+      await reviewCart(getCheckoutLines(req.cartOwner.cart, orderItems))
+    );
 
-      if (product.stock < item.quantity) {
-        return res.status(400).json({
-          success: false,
-          message: `Insufficient stock for ${product.name}. Available: ${product.stock}, Requested: ${item.quantity}`
-        });
-      }
+    if (cartWarnings.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Your cart has changed. Please review it before checking out.',
+        cartWarnings
+      });
     }
 
-    // Create order
-    const order = new Order({
-      user: req.user.id,
-      orderItems,
+    // Coupons come from the request, or else from those applied to the cart
+    const couponCodes = normalizeCodes(
+      req.body.couponCodes || req.body.couponCode || req.cartOwner.cartCoupons
+    );
+
+    // Prices, shipping and discounts always come from the catalog; the
+    // client's figures are only used to detect a stale cart
+    const pricing = await priceOrder(orderItems, {
+      couponCodes,
+      user: req.user,
       shippingAddress,
-      billingAddress: billingAddress || shippingAddress,
-      paymentMethod,
-      itemsPrice,
-      taxPrice: taxPrice || 0,
-      shippingPrice: shippingPrice || 0,
-      totalPrice,
-      couponCode,
-      discountAmount: discountAmount || 0
+      shippingMethod: req.body.shippingMethod
     });
 
-    const createdOrder = await order.save();
-
-    // Update product stock and sales
-    for (let item of orderItems) {
-      await Product.findByIdAndUpdate(
-        item.product,
-        {
-          $inc: {
-            stock: -item.quantity,
-            sales: item.quantity
-          }
+    const priceChanges = diffPricing(req.body, pricing);
+    if (priceChanges) {
+      return res.status(409).json({
+        success: false,
+        message: 'Prices have changed since your cart was loaded. Please review your order.',
+        priceChanges,
+        pricing: summarizePricing(pricing)
+      });
+    }
+
+    // The cart as it will be once the order is placed. Worked out here,
+    // because the transaction below may be retried.
+    const cartOwner = req.cartOwner;
+    removeOrderedItems(cartOwner, pricing.lines, pricing.coupons.map(coupon => coupon.code));
+    const cartUpdate = { cart: cartOwner.cart, cartCoupons: cartOwner.cartCoupons };
+
+    // Create the order, take the stock and take the ordered lines out of the
+    // cart atomically. If any line is short on stock the whole order rolls
+    // back.
+    let createdOrder;
+    const session = await mongoose.startSession();
+
+    try {
+      await session.withTransaction(async () => {
+        const order = new Order({
+          user: req.user ? req.user.id : undefined,
+          guestEmail: req.user ? undefined : req.body.email,
+          orderItems: pricing.lines.map(({ productDoc, ...line }) => line),
+          shippingAddress,
+          billingAddress: billingAddress || shippingAddress,
+          paymentMethod,
+          itemsPrice: pricing.itemsPrice,
+          taxPrice: pricing.taxPrice,
+          taxBreakdown: pricing.tax.breakdown,
+          taxProvider: pricing.tax.provider,
+          taxExempt: pricing.tax.exempt,
+          shippingPrice: pricing.shippingPrice,
+          shippingMethod: {
+            code: pricing.shipping.code,
+            name: pricing.shipping.name,
+            zone: pricing.shipping.zone,
+            estimatedDays: pricing.shipping.estimatedDays
+          },
+          estimatedDelivery: getEstimatedDelivery(pricing.shipping),
+          totalPrice: pricing.totalPrice,
+          couponCode: couponCodes.join(',') || undefined,
+          coupons: pricing.coupons,
+          discountAmount: pricing.discountAmount,
+          statusHistory: [{
+            status: 'pending',
+            note: req.user ? 'Order placed' : 'Order placed as guest',
+            updatedBy: req.user ? req.user.id : undefined
+          }]
+        });
+
+        // Stock is only held until the payment window runs out
+        order.reservationExpiresAt = await holdStock(order, session);
+        createdOrder = await order.save({ session });
+        await redeemCoupons(createdOrder, session);
+
+        // Take what was bought out of the user's or guest's cart
+        if (req.user) {
+          await User.updateOne({ _id: req.user.id }, cartUpdate, { session });
+        } else if (!cartOwner.isNew && cartOwner.cart.length === 0) {
+          await GuestCart.deleteOne({ _id: cartOwner._id }, { session });
+        } else if (!cartOwner.isNew) {
+          await GuestCart.updateOne({ _id: cartOwner._id }, cartUpdate, { session });
         }
-      );
+      });
+    } finally {
+      await session.endSession();
     }
 
-    // Clear user's cart
-    await User.findByIdAndUpdate(req.user.id, { cart: [] });
+    // Credit the order to a cart recovery email; this must never fail the
+    // order itself
+    attributeRecovery(createdOrder).catch(error => {
+      console.error('Cart recovery attribution error:', error.message);
+    });
 
     res.status(201).json({
       success: true,
       message: 'Order created successfully',
-      order: createdOrder
+      order: createdOrder,
+      orderToken: req.user ? undefined : createdOrder.getAccessToken()
+    });
+  } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Look up an order by order number and email
+// @route   POST /api/orders/lookup
+// @access  Public
+router.post('/lookup', [
+  body('orderNumber', 'Order number is required').notEmpty(),
+  body('email', 'Please include a valid email').isEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const email = req.body.email.trim().toLowerCase();
+
+    const order = await Order.findOne({ orderNumber: req.body.orderNumber.trim() })
+      .populate('user', 'email')
+      .populate('orderItems.product', 'name images price');
+
+    // The same answer for an unknown order and a wrong email, so order
+    // numbers cannot be probed
+    const orderEmail = order && (order.user ? order.user.email : order.guestEmail);
+    if (!order || orderEmail !== email) {
+      return res.status(404).json({
+        success: false,
+        message: 'No order found with this order number and email'
+      });
+    }
+
+    order.depopulate('user');
+
+    res.json({
+      success: true,
+      order,
+      orderToken: order.getAccessToken()
     });
   } catch (error) {
     res.status(500).json({
@@ -162,8 +296,10 @@ router.get('/:id', protect, async (req, res) => {
       });
     }
 
-    // Make sure user can only access their own orders (unless admin)
-    if (order.user._id.toString() !== req.user.id && req.user.role !== 'admin') {
+    // Make sure user can only access their own orders (unless staff who
+    // can read all orders)
+    const ownsOrder = order.user && order.user._id.toString() === req.user.id;
+    if (!ownsOrder && !(await hasPermission(req.user, 'orders:read'))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to access this order'
@@ -172,7 +308,8 @@ router.get('/:id', protect, async (req, res) => {
 
     res.json({
       success: true,
-      order
+      order,
+      allowedTransitions: await getAllowedTransitions(order.status, req.user)
     });
   } catch (error) {
     res.status(500).json({
@@ -183,10 +320,10 @@ router.get('/:id', protect, async (req, res) => {
   }
 });
 
-// @desc    Update order to paid
+// @desc    Mark an order paid outside Stripe (e.g. bank transfer)
 // @route   PUT /api/orders/:id/pay
-// @access  Private
-router.put('/:id/pay', protect, async (req, res) => {
+// @access  Private (orders:update)
+router.put('/:id/pay', protect, blockImpersonation, requirePermission('orders:update'), async (req, res) => {
   try {
     const order = await Order.findById(req.params.id);
 
@@ -197,25 +334,35 @@ router.put('/:id/pay', protect, async (req, res) => {
       });
     }
 
-    // Check if user owns the order
-    if (order.user.toString() !== req.user.id) {
-      return res.status(403).json({
+    if (order.status !== 'pending') {
+      return res.status(400).json({
         success: false,
-        message: 'Not authorized to update this order'
+        message: order.status === 'cancelled'
+          ? 'Order has been cancelled and can no longer be paid'
+          : 'Order has already been paid'
       });
     }
 
+    const before = order.toObject();
+
     order.isPaid = true;
     order.paidAt = Date.now();
-    order.status = 'confirmed';
     order.paymentResult = {
       id: req.body.id,
       status: req.body.status,
-      update_time: req.body.update_time,
+      update_time: req.body.update_time || new Date().toISOString(),
       email_address: req.body.email_address
     };
 
-    const updatedOrder = await order.save();
+    const updatedOrder = await transitionOrder(order, 'confirmed', {
+      actor: req.user,
+      note: req.body.note || 'Payment received'
+    });
+
+    await recordAudit(req, 'order.mark_paid', { type: 'Order', id: order._id, label: order.orderNumber }, {
+      before,
+      after: updatedOrder
+    });
 
     res.json({
       success: true,
@@ -223,6 +370,14 @@ router.put('/:id/pay', protect, async (req, res) => {
       order: updatedOrder
     });
   } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -246,37 +401,17 @@ router.put('/:id/cancel', protect, async (req, res) => {
     }
 
     // Check if user owns the order
-    if (order.user.toString() !== req.user.id) {
+    if (String(order.user) !== req.user.id) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to cancel this order'
       });
     }
 
-    // Check if order can be cancelled
-    if (order.status === 'shipped' || order.status === 'delivered') {
-      return res.status(400).json({
-        success: false,
-        message: 'Cannot cancel order that has been shipped or delivered'
-      });
-    }
-
-    order.status = 'cancelled';
-
-    // Restore product stock
-    for (let item of order.orderItems) {
-      await Product.findByIdAndUpdate(
-        item.product,
-        {
-          $inc: {
-            stock: item.quantity,
-            sales: -item.quantity
-          }
-        }
-      );
-    }
-
-    await order.save();
+    await transitionOrder(order, 'cancelled', {
+      actor: req.user,
+      note: req.body.reason ? `Cancelled by customer: ${req.body.reason}` : 'Cancelled by customer'
+    });
 
     res.json({
       success: true,
@@ -284,6 +419,14 @@ router.put('/:id/cancel', protect, async (req, res) => {
       order
     });
   } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -294,8 +437,8 @@ router.put('/:id/cancel', protect, async (req, res) => {
 
 // @desc    Get all orders (Admin)
 // @route   GET /api/orders
-// @access  Private/Admin
-router.get('/', protect, authorize('admin'), async (req, res) => {
+// @access  Private (orders:read)
+router.get('/', protect, requirePermission('orders:read'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
@@ -347,9 +490,20 @@ router.get('/', protect, authorize('admin'), async (req, res) => {
 
 // @desc    Update order status (Admin)
 // @route   PUT /api/orders/:id/status
-// @access  Private/Admin
-router.put('/:id/status', protect, authorize('admin'), async (req, res) => {
+// @access  Private (orders:update, orders:refund for refunded statuses)
+router.put('/:id/status', protect, requirePermission('orders:update'), [
+  body('status', 'Status is required').notEmpty()
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const { status, trackingNumber, carrier, estimatedDelivery, notes } = req.body;
 
     const order = await Order.findById(req.params.id);
@@ -361,19 +515,23 @@ router.put('/:id/status', protect, authorize('admin'), async (req, res) => {
       });
     }
 
-    order.status = status;
-    
+    const before = order.toObject();
+
     if (trackingNumber) order.trackingNumber = trackingNumber;
     if (carrier) order.carrier = carrier;
     if (estimatedDelivery) order.estimatedDelivery = estimatedDelivery;
     if (notes) order.notes = notes;
 
-    if (status === 'delivered') {
-      order.isDelivered = true;
-      order.deliveredAt = Date.now();
-    }
+    await transitionOrder(order, status, {
+      actor: req.user,
+      note: req.body.note
+    });
 
-    await order.save();
+    await recordAudit(req, 'order.status', { type: 'Order', id: order._id, label: order.orderNumber }, {
+      before,
+      after: order,
+      details: req.body.note ? { note: req.body.note } : undefined
+    });
 
     res.json({
       success: true,
@@ -381,6 +539,14 @@ router.put('/:id/status', protect, authorize('admin'), async (req, res) => {
       order
     });
   } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -391,8 +557,8 @@ router.put('/:id/status', protect, authorize('admin'), async (req, res) => {
 
 // @desc    Get order statistics (Admin)
 // @route   GET /api/orders/stats
-// @access  Private/Admin
-router.get('/stats/overview', protect, authorize('admin'), async (req, res) => {
+// @access  Private (analytics:view)
+router.get('/stats/overview', protect, requirePermission('analytics:view'), async (req, res) => {
   try {
     const totalOrders = await Order.countDocuments();
     const pendingOrders = await Order.countDocuments({ status: 'pending' });
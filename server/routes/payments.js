@@ -1,49 +1,128 @@
 const express = require('express');
+const { body, validationResult } = require('express-validator');
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const Order = require('../models/Order');
-const { protect } = require('../middleware/auth');
+const {
+  protect,
+  requirePermission,
+  optionalAuth,
+  allowGuestOrder,
+  blockImpersonation
+} = require('../middleware/auth');
+const { transitionOrder, settleRefundStatus } = require('../services/orderStatus');
+const {
+  refundOrder,
+  getRefundedAmount,
+  reconcileStripeRefund,
+  listChargeRefunds
+} = require('../services/refunds');
+const { recordAudit } = require('../services/audit');
+const ErrorResponse = require('../utils/errorResponse');
 
 const router = express.Router();
 
-// @desc    Create payment intent
+// Orders are charged in this currency
+const CURRENCY = 'usd';
+
+// Signed-in customers may pay for their own orders, guests only for the
+// order their X-Order-Token was issued for
+const canPayForOrder = (req, order) => {
+  if (req.user) {
+    return Boolean(order.user) && String(order.user) === String(req.user._id);
+  }
+  return String(order._id) === req.guestOrderId;
+};
+
+// What Stripe should charge for an order, in cents
+const getOrderAmount = (order) => Math.round(order.totalPrice * 100);
+
+// Whether a payment intent was created for this order and for its total, so
+// an intent for a smaller amount or another order cannot pay for it
+const matchesOrder = (paymentIntent, order) => {
+  return paymentIntent.metadata.orderId === String(order._id) &&
+    paymentIntent.amount === getOrderAmount(order) &&
+    paymentIntent.currency === CURRENCY;
+};
+
+// @desc    Create payment intent for an order's total
 // @route   POST /api/payments/create-payment-intent
-// @access  Private
-router.post('/create-payment-intent', protect, async (req, res) => {
+// @access  Private (guests with X-Order-Token)
+router.post('/create-payment-intent', optionalAuth, blockImpersonation, allowGuestOrder, [
+  body('orderId', 'Order ID is required').isMongoId()
+], async (req, res) => {
   try {
-    const { amount, currency = 'usd', orderId } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findById(req.body.orderId);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!canPayForOrder(req, order)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to pay for this order'
+      });
+    }
+
+    // Orders whose stock hold expired are cancelled and cannot be paid
+    if (order.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Order has been cancelled and can no longer be paid'
+      });
+    }
+
+    if (order.isPaid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order has already been paid'
+      });
+    }
 
-    if (!amount || amount < 50) {
+    const amount = getOrderAmount(order);
+
+    if (amount < 50) {
       return res.status(400).json({
         success: false,
         message: 'Amount must be at least $0.50'
       });
     }
 
-    // Create payment intent
     const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(amount * 100), // Convert to cents
-      currency,
+      amount,
+      currency: CURRENCY,
       metadata: {
-        orderId: orderId || '',
-        userId: req.user.id,
-        userEmail: req.user.email
+        orderId: String(order._id),
+        userId: req.user ? req.user.id : '',
+        userEmail: req.user ? req.user.email : order.guestEmail || ''
       },
       automatic_payment_methods: {
         enabled: true,
       },
     });
 
-    // Update order with payment intent ID if orderId provided
-    if (orderId) {
-      await Order.findByIdAndUpdate(orderId, {
-        stripePaymentIntentId: paymentIntent.id
-      });
-    }
+    await Order.findByIdAndUpdate(order._id, {
+      stripePaymentIntentId: paymentIntent.id
+    });
 
     res.json({
       success: true,
       clientSecret: paymentIntent.client_secret,
-      paymentIntentId: paymentIntent.id
+      paymentIntentId: paymentIntent.id,
+      amount: amount / 100,
+      currency: CURRENCY
     });
   } catch (error) {
     console.error('Payment intent creation error:', error);
@@ -57,49 +136,82 @@ router.post('/create-payment-intent', protect, async (req, res) => {
 
 // @desc    Confirm payment
 // @route   POST /api/payments/confirm-payment
-// @access  Private
-router.post('/confirm-payment', protect, async (req, res) => {
+// @access  Private (guests with X-Order-Token)
+router.post('/confirm-payment', optionalAuth, blockImpersonation, allowGuestOrder, [
+  body('orderId', 'Order ID is required').isMongoId(),
+  body('paymentIntentId', 'Payment intent ID is required').notEmpty()
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const { paymentIntentId, orderId } = req.body;
 
+    const order = await Order.findById(orderId);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!canPayForOrder(req, order)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to pay for this order'
+      });
+    }
+
     // Retrieve payment intent from Stripe
     const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
 
-    if (paymentIntent.status === 'succeeded') {
-      // Update order status
-      const order = await Order.findById(orderId);
-      
-      if (!order) {
-        return res.status(404).json({
-          success: false,
-          message: 'Order not found'
-        });
-      }
+    if (!matchesOrder(paymentIntent, order)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment does not match this order'
+      });
+    }
 
+    if (paymentIntent.status !== 'succeeded') {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment not successful',
+        status: paymentIntent.status
+      });
+    }
+
+    if (order.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Order has been cancelled and can no longer be paid'
+      });
+    }
+
+    if (!order.isPaid) {
       order.isPaid = true;
       order.paidAt = new Date();
-      order.status = 'confirmed';
       order.paymentResult = {
         id: paymentIntent.id,
         status: paymentIntent.status,
         update_time: new Date().toISOString(),
-        email_address: req.user.email
+        email_address: req.user ? req.user.email : order.guestEmail
       };
 
-      await order.save();
-
-      res.json({
-        success: true,
-        message: 'Payment confirmed successfully',
-        order
-      });
-    } else {
-      res.status(400).json({
-        success: false,
-        message: 'Payment not successful',
-        status: paymentIntent.status
-      });
+      await transitionOrder(order, 'confirmed', { note: 'Payment received' });
     }
+
+    res.json({
+      success: true,
+      message: 'Payment confirmed successfully',
+      order
+    });
   } catch (error) {
     console.error('Payment confirmation error:', error);
     res.status(500).json({
@@ -112,10 +224,25 @@ router.post('/confirm-payment', protect, async (req, res) => {
 
 // @desc    Process refund
 // @route   POST /api/payments/refund
-// @access  Private/Admin
-router.post('/refund', protect, async (req, res) => {
+// @access  Private (orders:refund)
+router.post('/refund', protect, requirePermission('orders:refund'), [
+  body('orderId', 'Order ID is required').notEmpty(),
+  body('amount', 'Amount must be a positive number').optional().isFloat({ gt: 0 }),
+  body('items', 'Items must be a list').optional().isArray(),
+  body('items.*.orderItem', 'Order item is required for every refunded item').optional().notEmpty(),
+  body('items.*.quantity', 'Quantity must be a positive number').optional().isInt({ min: 1 })
+], async (req, res) => {
   try {
-    const { orderId, amount, reason } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { orderId, amount, items, reason } = req.body;
 
     const order = await Order.findById(orderId);
 
@@ -126,52 +253,57 @@ router.post('/refund', protect, async (req, res) => {
       });
     }
 
-    if (!order.isPaid || !order.stripePaymentIntentId) {
+    const before = order.toObject();
+
+    // Partial or full refund of what is still left on the order
+    const refund = await refundOrder(order, {
+      amount,
+      items,
+      reason,
+      actor: req.user
+    });
+
+    if (!refund) {
       return res.status(400).json({
         success: false,
-        message: 'Order is not paid or missing payment information'
+        message: 'Order has already been fully refunded'
       });
     }
 
-    // Create refund
-    const refund = await stripe.refunds.create({
-      payment_intent: order.stripePaymentIntentId,
-      amount: amount ? Math.round(amount * 100) : undefined, // Partial or full refund
-      reason: reason || 'requested_by_customer',
-      metadata: {
-        orderId: orderId,
-        refundReason: reason || 'Customer request'
-      }
+    await settleRefundStatus(order, {
+      actor: req.user,
+      note: reason || `Refunded ${refund.amount}`
     });
 
-    // Update order with refund information
-    order.refund = {
-      requested: true,
-      requestedAt: new Date(),
-      reason: reason || 'Customer request',
-      amount: refund.amount / 100,
-      status: 'processed',
-      processedAt: new Date(),
-      refundId: refund.id
-    };
-
-    if (refund.amount >= order.totalPrice * 100) {
-      order.status = 'refunded';
-    }
-
-    await order.save();
+    await recordAudit(req, 'order.refund', { type: 'Order', id: order._id, label: order.orderNumber }, {
+      before,
+      after: order,
+      details: {
+        stripeRefundId: refund.stripeRefundId,
+        amount: refund.amount,
+        status: refund.status,
+        reason
+      }
+    });
 
     res.json({
       success: true,
       message: 'Refund processed successfully',
-      refund: {
-        id: refund.id,
-        amount: refund.amount / 100,
-        status: refund.status
-      }
+      refund,
+      refundedAmount: getRefundedAmount(order),
+      orderStatus: order.status
     });
   } catch (error) {
     console.error('Refund error:', error);
+
+    if (error instanceof ErrorResponse) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Failed to process refund',
@@ -243,47 +375,80 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
     switch (event.type) {
       case 'payment_intent.succeeded':
         const paymentIntent = event.data.object;
-        console.log('Payment succeeded:', paymentIntent.id);
-        
+
         // Update order if orderId exists in metadata
         if (paymentIntent.metadata.orderId) {
-          await Order.findByIdAndUpdate(paymentIntent.metadata.orderId, {
-            isPaid: true,
-            paidAt: new Date(),
-            status: 'confirmed',
-            paymentResult: {
+          const paidOrder = await Order.findById(paymentIntent.metadata.orderId);
+
+          if (paidOrder && !matchesOrder(paymentIntent, paidOrder)) {
+            console.warn(`Payment ${paymentIntent.id} does not match the total of order ${paidOrder.orderNumber}`);
+          } else if (paidOrder && paidOrder.status === 'pending') {
+            paidOrder.isPaid = true;
+            paidOrder.paidAt = new Date();
+            paidOrder.paymentResult = {
               id: paymentIntent.id,
               status: paymentIntent.status,
               update_time: new Date().toISOString()
-            }
-          });
+            };
+
+            await transitionOrder(paidOrder, 'confirmed', { note: 'Payment received' });
+          } else if (paidOrder && paidOrder.status === 'cancelled') {
+            console.warn(`Payment ${paymentIntent.id} received for cancelled order ${paidOrder.orderNumber}`);
+          }
         }
         break;
 
       case 'payment_intent.payment_failed':
         const failedPayment = event.data.object;
-        console.log('Payment failed:', failedPayment.id);
-        
-        // Handle failed payment
+
+        // A failed attempt leaves the order pending so the customer can
+        // retry before the stock hold expires; the failure is only noted
         if (failedPayment.metadata.orderId) {
+          const failureMessage = failedPayment.last_payment_error?.message || 'Payment failed';
+
           await Order.findByIdAndUpdate(failedPayment.metadata.orderId, {
-            status: 'payment_failed',
             paymentResult: {
               id: failedPayment.id,
               status: failedPayment.status,
-              error: failedPayment.last_payment_error?.message || 'Payment failed'
+              update_time: new Date().toISOString()
+            },
+            $push: {
+              statusHistory: {
+                status: 'pending',
+                timestamp: new Date(),
+                note: `Payment failed: ${failureMessage}`
+              }
             }
           });
         }
         break;
 
       case 'refund.created':
+      case 'refund.updated': {
         const refund = event.data.object;
-        console.log('Refund created:', refund.id);
+
+        const refundedOrder = await reconcileStripeRefund(refund);
+        if (refundedOrder) {
+          await settleRefundStatus(refundedOrder, { note: `Stripe refund ${refund.id} ${refund.status}` });
+        }
         break;
+      }
+
+      case 'charge.refunded': {
+        const charge = event.data.object;
+
+        for (const chargeRefund of await listChargeRefunds(charge)) {
+          const refundedOrder = await reconcileStripeRefund(chargeRefund);
+          if (refundedOrder) {
+            await settleRefundStatus(refundedOrder, { note: `Stripe refund ${chargeRefund.id} ${chargeRefund.status}` });
+          }
+        }
+        break;
+      }
 
       default:
-        console.log(`Unhandled event type ${event.type}`);
+        // Other events are not used
+        break;
     }
 
     res.json({ received: true });
@@ -1,7 +1,18 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Product = require('../models/Product');
-const { protect, authorize, optionalAuth } = require('../middleware/auth');
+const Order = require('../models/Order');
+const { protect, requirePermission, optionalAuth, requireVerifiedEmail } = require('../middleware/auth');
+const { recordAudit } = require('../services/audit');
+const {
+  REPORT_REASONS,
+  getNewReviewStatus,
+  isOwnReview,
+  findReview,
+  toPublicReview,
+  getVisibleReviews
+} = require('../services/reviews');
+const ErrorResponse = require('../utils/errorResponse');
 
 const router = express.Router();
 
@@ -138,7 +149,10 @@ router.get('/:id', optionalAuth, async (req, res) => {
 
     res.json({
       success: true,
-      product
+      product: {
+        ...product.toObject(),
+        reviews: getVisibleReviews(product, req.user)
+      }
     });
   } catch (error) {
     res.status(500).json({
@@ -151,8 +165,8 @@ router.get('/:id', optionalAuth, async (req, res) => {
 
 // @desc    Create new product
 // @route   POST /api/products
-// @access  Private/Admin
-router.post('/', protect, authorize('admin'), [
+// @access  Private (products:write)
+router.post('/', protect, requirePermission('products:write'), [
   body('name', 'Product name is required').notEmpty(),
   body('description', 'Product description is required').notEmpty(),
   body('shortDescription', 'Short description is required').notEmpty(),
@@ -177,6 +191,10 @@ router.post('/', protect, authorize('admin'), [
 
     const product = await Product.create(req.body);
 
+    await recordAudit(req, 'product.create', { type: 'Product', id: product._id, label: product.sku }, {
+      after: product
+    });
+
     res.status(201).json({
       success: true,
       message: 'Product created successfully',
@@ -193,10 +211,10 @@ router.post('/', protect, authorize('admin'), [
 
 // @desc    Update product
 // @route   PUT /api/products/:id
-// @access  Private/Admin
-router.put('/:id', protect, authorize('admin'), async (req, res) => {
+// @access  Private (products:write)
+router.put('/:id', protect, requirePermission('products:write'), async (req, res) => {
   try {
-    let product = await Product.findById(req.params.id);
+    const product = await Product.findById(req.params.id);
 
     if (!product) {
       return res.status(404).json({
@@ -205,11 +223,16 @@ router.put('/:id', protect, authorize('admin'), async (req, res) => {
       });
     }
 
-    product = await Product.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    );
+    // Saved through the document so that variant combinations are
+    // validated and the stock total follows them
+    const before = product.toObject();
+    product.set(req.body);
+    await product.save();
+
+    await recordAudit(req, 'product.update', { type: 'Product', id: product._id, label: product.sku }, {
+      before,
+      after: product
+    });
 
     res.json({
       success: true,
@@ -227,8 +250,8 @@ router.put('/:id', protect, authorize('admin'), async (req, res) => {
 
 // @desc    Delete product
 // @route   DELETE /api/products/:id
-// @access  Private/Admin
-router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+// @access  Private (products:write)
+router.delete('/:id', protect, requirePermission('products:write'), async (req, res) => {
   try {
     const product = await Product.findById(req.params.id);
 
@@ -241,6 +264,10 @@ router.delete('/:id', protect, authorize('admin'), async (req, res) => {
 
     await Product.findByIdAndDelete(req.params.id);
 
+    await recordAudit(req, 'product.delete', { type: 'Product', id: product._id, label: product.sku }, {
+      before: product
+    });
+
     res.json({
       success: true,
       message: 'Product deleted successfully'
@@ -257,7 +284,7 @@ router.delete('/:id', protect, authorize('admin'), async (req, res) => {
 // @desc    Add product review
 // @route   POST /api/products/:id/reviews
 // @access  Private
-router.post('/:id/reviews', protect, [
+router.post('/:id/reviews', protect, requireVerifiedEmail('reviews'), [
   body('rating', 'Rating is required and must be between 1 and 5').isInt({ min: 1, max: 5 }),
   body('comment', 'Comment is required').notEmpty()
 ], async (req, res) => {
@@ -294,20 +321,362 @@ router.post('/:id/reviews', protect, [
       });
     }
 
+    // Reviews from customers who paid for the product are marked verified
+    const purchased = await Order.exists({
+      user: req.user.id,
+      'orderItems.product': product._id,
+      isPaid: true,
+      status: { $nin: ['cancelled', 'refunded'] }
+    });
+
     const review = {
       user: req.user.id,
       rating: Number(rating),
-      comment
+      comment,
+      verified: Boolean(purchased),
+      status: getNewReviewStatus()
     };
 
     product.reviews.push(review);
     await product.save();
 
+    const saved = product.reviews[product.reviews.length - 1];
+
+    res.status(201).json({
+      success: true,
+      message: saved.status === 'pending'
+        ? 'Review submitted and waiting for moderation'
+        : 'Review added successfully',
+      review: toPublicReview(saved, req.user)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Edit your own review
+// @route   PUT /api/products/:id/reviews/:reviewId
+// @access  Private
+router.put('/:id/reviews/:reviewId', protect, requireVerifiedEmail('reviews'), [
+  body('rating', 'Rating must be between 1 and 5').optional().isInt({ min: 1, max: 5 }),
+  body('comment', 'Comment cannot be empty').optional().trim().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { rating, comment } = req.body;
+
+    if (rating === undefined && comment === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing to update'
+      });
+    }
+
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const review = findReview(product, req.params.reviewId);
+
+    if (!isOwnReview(review, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only edit your own reviews'
+      });
+    }
+
+    if (review.status === 'hidden') {
+      return res.status(400).json({
+        success: false,
+        message: 'This review has been hidden by a moderator and cannot be edited'
+      });
+    }
+
+    if (rating !== undefined) {
+      review.rating = Number(rating);
+    }
+    if (comment !== undefined) {
+      review.comment = comment;
+    }
+    review.editedAt = new Date();
+    // An edit could say anything, so it goes back to the moderators
+    review.status = 'pending';
+
+    await product.save();
+
+    res.json({
+      success: true,
+      message: 'Review updated and waiting for moderation',
+      review: toPublicReview(review, req.user)
+    });
+  } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${error.path}`
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Delete your own review
+// @route   DELETE /api/products/:id/reviews/:reviewId
+// @access  Private
+router.delete('/:id/reviews/:reviewId', protect, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const review = findReview(product, req.params.reviewId);
+
+    if (!isOwnReview(review, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only delete your own reviews'
+      });
+    }
+
+    product.reviews.pull(review._id);
+    await product.save();
+
+    res.json({
+      success: true,
+      message: 'Review deleted successfully'
+    });
+  } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${error.path}`
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Vote a review helpful or unhelpful, or take a vote back
+// @route   POST /api/products/:id/reviews/:reviewId/vote
+// @access  Private
+router.post('/:id/reviews/:reviewId/vote', protect, [
+  body('vote', 'Vote must be helpful, unhelpful or none').isIn(['helpful', 'unhelpful', 'none'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { vote } = req.body;
+
+    const product = await Product.findById(req.params.id).select('reviews');
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const review = findReview(product, req.params.reviewId);
+
+    if (review.status !== 'approved') {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    if (isOwnReview(review, req.user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot vote on your own review'
+      });
+    }
+
+    // One vote per user: a vote replaces any earlier one. Done in one update
+    // so concurrent votes on the same review are not lost.
+    const update = {
+      $pull: {
+        'reviews.$.helpful': req.user._id,
+        'reviews.$.unhelpful': req.user._id
+      }
+    };
+    if (vote !== 'none') {
+      delete update.$pull[`reviews.$.${vote}`];
+      update.$addToSet = { [`reviews.$.${vote}`]: req.user._id };
+    }
+
+    const updated = await Product.findOneAndUpdate(
+      { _id: product._id, 'reviews._id': review._id },
+      update,
+      { new: true, projection: { reviews: 1 } }
+    );
+
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    const result = toPublicReview(updated.reviews.id(review._id), req.user);
+
+    res.json({
+      success: true,
+      helpfulCount: result.helpfulCount,
+      unhelpfulCount: result.unhelpfulCount,
+      myVote: result.myVote
+    });
+  } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${error.path}`
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Report a review to the moderators
+// @route   POST /api/products/:id/reviews/:reviewId/report
+// @access  Private
+router.post('/:id/reviews/:reviewId/report', protect, [
+  body('reason', `Reason must be one of: ${REPORT_REASONS.join(', ')}`).isIn(REPORT_REASONS),
+  body('details', 'Details cannot be more than 500 characters').optional().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { reason, details } = req.body;
+
+    const product = await Product.findById(req.params.id).select('reviews');
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const review = findReview(product, req.params.reviewId);
+
+    if (review.status !== 'approved') {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    if (isOwnReview(review, req.user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot report your own review'
+      });
+    }
+
+    // Each user can report a review once; a report puts it back in the
+    // moderation queue
+    const result = await Product.updateOne(
+      {
+        _id: product._id,
+        reviews: { $elemMatch: { _id: review._id, 'reports.user': { $ne: req.user._id } } }
+      },
+      {
+        $push: { 'reviews.$.reports': { user: req.user._id, reason, details } },
+        $set: { 'reviews.$.flagged': true }
+      }
+    );
+
+    if (result.modifiedCount !== 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already reported this review'
+      });
+    }
+
     res.status(201).json({
       success: true,
-      message: 'Review added successfully'
+      message: 'Thanks, the review has been reported to our moderators'
     });
   } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${error.path}`
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -0,0 +1,563 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const ReturnRequest = require('../models/ReturnRequest');
+const Order = require('../models/Order');
+const { protect, requirePermission } = require('../middleware/auth');
+const { restoreStock } = require('../services/inventory');
+const {
+  refundOrder,
+  getRefundedAmount,
+  getRefundedQuantity,
+  getPaidLineAmount
+} = require('../services/refunds');
+const { settleRefundStatus } = require('../services/orderStatus');
+const { hasPermission } = require('../services/permissions');
+const { recordAudit } = require('../services/audit');
+const { roundPrice } = require('../utils/money');
+const ErrorResponse = require('../utils/errorResponse');
+
+const router = express.Router();
+
+// Days after delivery during which a return can be opened
+const getReturnWindowDays = () => parseInt(process.env.RETURN_WINDOW_DAYS) || 30;
+
+const getAuditTarget = (returnRequest) => ({
+  type: 'ReturnRequest',
+  id: returnRequest._id,
+  label: returnRequest.rmaNumber
+});
+
+// Find a return the current user may act on
+const findReturn = async (req, res) => {
+  const returnRequest = await ReturnRequest.findById(req.params.id);
+
+  if (!returnRequest) {
+    res.status(404).json({
+      success: false,
+      message: 'Return not found'
+    });
+    return null;
+  }
+
+  return returnRequest;
+};
+
+// @desc    Open a return on delivered order lines
+// @route   POST /api/returns
+// @access  Private
+router.post('/', protect, [
+  body('orderId', 'Order ID is required').notEmpty(),
+  body('items', 'At least one item must be returned').isArray({ min: 1 }),
+  body('items.*.orderItem', 'Order item is required for every returned item').notEmpty(),
+  body('items.*.quantity', 'Quantity must be a positive number').isInt({ min: 1 }),
+  body('items.*.reason', 'Return reason is required').notEmpty(),
+  body('photos', 'Photos must be a list of image URLs').optional().isArray({ max: 5 }),
+  body('photos.*', 'Photos must be a list of image URLs').optional().isURL()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { orderId, items, photos = [], comment } = req.body;
+
+    const order = await Order.findById(orderId);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (String(order.user) !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to return items from this order'
+      });
+    }
+
+    // A delivered order stays returnable after part of it was refunded
+    const returnable = order.status === 'delivered' ||
+      (order.status === 'partially_refunded' && order.isDelivered && order.deliveredAt);
+
+    if (!returnable) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only delivered orders can be returned'
+      });
+    }
+
+    const windowEnds = new Date(
+      new Date(order.deliveredAt).getTime() + getReturnWindowDays() * 24 * 60 * 60 * 1000
+    );
+    if (windowEnds < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: `Returns must be opened within ${getReturnWindowDays()} days of delivery`
+      });
+    }
+
+    // Quantities already tied up in other returns for this order
+    const existingReturns = await ReturnRequest.find({
+      order: order._id,
+      status: { $ne: 'rejected' }
+    });
+
+    const returnedQuantities = {};
+    existingReturns.forEach(existing => {
+      existing.items.forEach(item => {
+        const key = item.orderItem.toString();
+        returnedQuantities[key] = (returnedQuantities[key] || 0) + item.quantity;
+      });
+    });
+
+    const returnItems = [];
+    for (const item of items) {
+      const orderItem = order.orderItems.id(item.orderItem);
+
+      if (!orderItem) {
+        return res.status(400).json({
+          success: false,
+          message: `Order item not found: ${item.orderItem}`
+        });
+      }
+
+      const available = orderItem.quantity - (returnedQuantities[orderItem._id.toString()] || 0);
+      if (item.quantity > available) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot return ${item.quantity} of ${orderItem.name}. Returnable: ${available}`
+        });
+      }
+
+      returnedQuantities[orderItem._id.toString()] =
+        (returnedQuantities[orderItem._id.toString()] || 0) + item.quantity;
+
+      returnItems.push({
+        orderItem: orderItem._id,
+        product: orderItem.product,
+        name: orderItem.name,
+        variant: orderItem.variant,
+        sku: orderItem.sku,
+        unitPrice: orderItem.price,
+        quantity: item.quantity,
+        reason: item.reason,
+        comment: item.comment
+      });
+    }
+
+    const returnRequest = new ReturnRequest({
+      order: order._id,
+      user: req.user.id,
+      items: returnItems,
+      photos: photos.map(url => ({ url })),
+      history: [{
+        status: 'requested',
+        note: comment || 'Return requested by customer',
+        updatedBy: req.user.id
+      }]
+    });
+
+    await returnRequest.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Return requested successfully',
+      returnRequest
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get logged in user returns
+// @route   GET /api/returns/my-returns
+// @access  Private
+router.get('/my-returns', protect, async (req, res) => {
+  try {
+    const returns = await ReturnRequest.find({ user: req.user.id })
+      .populate('order', 'orderNumber')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: returns.length,
+      returns
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get all returns (Admin)
+// @route   GET /api/returns
+// @access  Private (orders:read)
+router.get('/', protect, requirePermission('orders:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    let query = {};
+
+    // Filter by status
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const returns = await ReturnRequest.find(query)
+      .populate('user', 'firstName lastName email')
+      .populate('order', 'orderNumber')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await ReturnRequest.countDocuments(query);
+
+    res.json({
+      success: true,
+      count: returns.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      returns
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get return by ID
+// @route   GET /api/returns/:id
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const returnRequest = await findReturn(req, res);
+    if (!returnRequest) return;
+
+    // Make sure user can only access their own returns (unless staff who
+    // can read all orders)
+    if (returnRequest.user.toString() !== req.user.id && !(await hasPermission(req.user, 'orders:read'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this return'
+      });
+    }
+
+    await returnRequest.populate('order', 'orderNumber status');
+
+    res.json({
+      success: true,
+      returnRequest
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Approve or reject a return (Admin)
+// @route   PUT /api/returns/:id/approve
+// @route   PUT /api/returns/:id/reject
+// @access  Private (orders:update)
+['approve', 'reject'].forEach(action => {
+  router.put(`/:id/${action}`, protect, requirePermission('orders:update'), async (req, res) => {
+    try {
+      const returnRequest = await findReturn(req, res);
+      if (!returnRequest) return;
+
+      if (returnRequest.status !== 'requested') {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot ${action} a return that is ${returnRequest.status}`
+        });
+      }
+
+      const before = returnRequest.toObject();
+      const status = action === 'approve' ? 'approved' : 'rejected';
+      returnRequest.setStatus(status, req.body.note || `Return ${status}`, req.user);
+      await returnRequest.save();
+
+      await recordAudit(req, `return.${action}`, getAuditTarget(returnRequest), {
+        before,
+        after: returnRequest
+      });
+
+      res.json({
+        success: true,
+        message: `Return ${status}`,
+        returnRequest
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Server error',
+        error: error.message
+      });
+    }
+  });
+});
+
+// @desc    Mark returned goods as received, optionally restocking them (Admin)
+// @route   PUT /api/returns/:id/receive
+// @access  Private (orders:update)
+router.put('/:id/receive', protect, requirePermission('orders:update'), [
+  body('restock', 'Restock must be true or false').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const returnRequest = await findReturn(req, res);
+    if (!returnRequest) return;
+
+    if (returnRequest.status !== 'approved') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only approved returns can be received'
+      });
+    }
+
+    const before = returnRequest.toObject();
+    const session = await mongoose.startSession();
+
+    try {
+      await session.withTransaction(async () => {
+        if (req.body.restock) {
+          await restoreStock(returnRequest.items, session);
+          returnRequest.items.forEach(item => {
+            item.restocked = true;
+          });
+        }
+
+        returnRequest.receivedAt = new Date();
+        returnRequest.setStatus(
+          'received',
+          req.body.note || (req.body.restock ? 'Items received and restocked' : 'Items received'),
+          req.user
+        );
+        await returnRequest.save({ session });
+
+        await recordAudit(req, 'return.receive', getAuditTarget(returnRequest), {
+          before,
+          after: returnRequest,
+          details: { restock: Boolean(req.body.restock) },
+          session
+        });
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    res.json({
+      success: true,
+      message: 'Return marked as received',
+      returnRequest
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Refund the lines of a received return (Admin)
+// @route   POST /api/returns/:id/refund
+// @access  Private (orders:refund)
+router.post('/:id/refund', protect, requirePermission('orders:refund'), [
+  body('items', 'Items must be a list').optional().isArray(),
+  body('items.*.item', 'Return item is required').optional().notEmpty(),
+  body('items.*.amount', 'Amount must be a positive number').optional().isFloat({ min: 0 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const returnRequest = await findReturn(req, res);
+    if (!returnRequest) return;
+
+    if (returnRequest.status !== 'received') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only received returns can be refunded'
+      });
+    }
+
+    const order = await Order.findById(returnRequest.order);
+    const before = returnRequest.toObject();
+
+    // Refund the requested lines, or every line still owed a refund. The
+    // amount defaults to what the customer paid for the returned units,
+    // after discounts and with tax, capped at what is left on the order.
+    const requested = req.body.items || returnRequest.items
+      .filter(item => !item.refundedAt)
+      .map(item => ({ item: item._id.toString() }));
+
+    // Check every line before any money goes out, so a bad line cannot fail
+    // the request after earlier lines were refunded
+    const lines = [];
+    const seen = new Set();
+    const refundedQuantities = {};
+    let remaining = roundPrice(order.totalPrice - getRefundedAmount(order));
+
+    for (const entry of requested) {
+      const item = returnRequest.items.id(entry.item);
+
+      if (!item) {
+        throw new ErrorResponse(`Return item not found: ${entry.item}`, 400);
+      }
+
+      if (seen.has(item._id.toString())) {
+        throw new ErrorResponse(`${item.name} is listed more than once`, 400);
+      }
+      seen.add(item._id.toString());
+
+      if (item.refundedAt) {
+        throw new ErrorResponse(`${item.name} has already been refunded`, 400);
+      }
+
+      const orderItem = order.orderItems.id(item.orderItem);
+
+      if (!orderItem) {
+        throw new ErrorResponse(`Order item not found for ${item.name}`, 400);
+      }
+
+      const key = orderItem._id.toString();
+      if (refundedQuantities[key] === undefined) {
+        refundedQuantities[key] = getRefundedQuantity(order, orderItem._id);
+      }
+
+      const refundable = orderItem.quantity - refundedQuantities[key];
+      if (item.quantity > refundable) {
+        throw new ErrorResponse(
+          `Cannot refund ${item.quantity} of ${item.name}. Refundable: ${refundable}`,
+          400
+        );
+      }
+      refundedQuantities[key] += item.quantity;
+
+      const amount = entry.amount === undefined
+        ? Math.min(getPaidLineAmount(order, orderItem, item.quantity), remaining)
+        : roundPrice(Number(entry.amount));
+
+      if (amount > remaining) {
+        throw new ErrorResponse(`Refunds cannot exceed the remaining paid amount of ${remaining}`, 400, {
+          refundable: remaining
+        });
+      }
+      remaining = roundPrice(remaining - amount);
+
+      lines.push({ item, amount });
+    }
+
+    // Save after each refund so that a Stripe failure part way through
+    // leaves the lines already refunded recorded as such
+    let failure = null;
+    let refundedCount = 0;
+
+    for (const { item, amount } of lines) {
+      let refund;
+      try {
+        refund = await refundOrder(order, {
+          items: [{ orderItem: item.orderItem, quantity: item.quantity, amount }],
+          reason: `Return ${returnRequest.rmaNumber}: ${item.reason}`,
+          actor: req.user,
+          idempotencyKey: `return-${returnRequest._id}-${item._id}`
+        });
+      } catch (error) {
+        failure = error;
+        break;
+      }
+
+      item.refundAmount = amount;
+      item.refundId = refund ? refund.stripeRefundId : undefined;
+      item.refundedAt = new Date();
+      refundedCount += 1;
+
+      await returnRequest.save();
+    }
+
+    if (returnRequest.items.every(item => item.refundedAt)) {
+      returnRequest.setStatus('refunded', req.body.note || 'Return refunded', req.user);
+      await returnRequest.save();
+    }
+
+    if (refundedCount === 0 && failure) {
+      throw failure;
+    }
+
+    await settleRefundStatus(order, {
+      actor: req.user,
+      note: `Refund issued for return ${returnRequest.rmaNumber}`
+    });
+
+    await recordAudit(req, 'return.refund', getAuditTarget(returnRequest), {
+      before,
+      after: returnRequest,
+      details: { order: order.orderNumber }
+    });
+
+    // The lines refunded before the failure are saved; report the failure
+    if (failure) {
+      throw failure;
+    }
+
+    res.json({
+      success: true,
+      message: 'Return refunded successfully',
+      returnRequest
+    });
+  } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
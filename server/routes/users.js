@@ -2,15 +2,48 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Product = require('../models/Product');
-const { protect } = require('../middleware/auth');
+const GuestCart = require('../models/GuestCart');
+const { protect, optionalAuth, blockImpersonation } = require('../middleware/auth');
+const { resolveCart } = require('../middleware/cart');
+const { buildLines, priceOrder, summarizePricing } = require('../services/pricing');
+const {
+  findCartItem,
+  getAvailableStock,
+  getUnitPrice,
+  reviewCart,
+  getCartWarnings,
+  fixCart
+} = require('../services/cart');
+const { restoreRecoveredCart } = require('../services/cartRecovery');
+const { getShippingOptions } = require('../services/shipping');
+const { normalizeCodes } = require('../services/coupons');
+const {
+  buildDataExport,
+  scheduleAccountDeletion,
+  cancelAccountDeletion
+} = require('../services/accountErasure');
+const ErrorResponse = require('../utils/errorResponse');
+const { roundPrice } = require('../utils/money');
 
 const router = express.Router();
 
+const CART_PRODUCT_FIELDS = 'name price images stock combinations';
+
+// Guests need their cart's token to find it again; a cart is only given
+// one once it has been stored
+const withCartToken = (owner, body) => {
+  if (owner instanceof GuestCart && !owner.isNew) {
+    return { ...body, cartToken: owner.getCartToken() };
+  }
+  return body;
+};
+
 // @desc    Add item to cart
 // @route   POST /api/users/cart
-// @access  Private
-router.post('/cart', protect, [
+// @access  Public (guests identified by X-Cart-Token)
+router.post('/cart', optionalAuth, resolveCart, [
   body('productId', 'Product ID is required').notEmpty(),
+  body('variantId', 'Invalid variant').optional().isMongoId(),
   body('quantity', 'Quantity must be a positive number').isInt({ min: 1 })
 ], async (req, res) => {
   try {
@@ -23,7 +56,7 @@ router.post('/cart', protect, [
       });
     }
 
-    const { productId, quantity } = req.body;
+    const { productId, variantId, quantity } = req.body;
 
     // Check if product exists and has sufficient stock
     const product = await Product.findById(productId);
@@ -34,49 +67,68 @@ router.post('/cart', protect, [
       });
     }
 
-    if (product.stock < quantity) {
+    if (product.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'This product is no longer available'
+      });
+    }
+
+    const availableStock = getAvailableStock(product, variantId);
+    const unitPrice = getUnitPrice(product, variantId);
+
+    if (availableStock < quantity) {
       return res.status(400).json({
         success: false,
         message: 'Insufficient stock available'
       });
     }
 
-    const user = await User.findById(req.user.id);
+    const owner = req.cartOwner;
 
     // Check if item already exists in cart
-    const existingCartItem = user.cart.find(item => 
-      item.product.toString() === productId
-    );
+    const existingCartItem = findCartItem(owner.cart, productId, variantId);
 
     if (existingCartItem) {
       // Update quantity
       const newQuantity = existingCartItem.quantity + quantity;
-      if (product.stock < newQuantity) {
+      if (availableStock < newQuantity) {
         return res.status(400).json({
           success: false,
           message: 'Cannot add more items. Insufficient stock available'
         });
       }
       existingCartItem.quantity = newQuantity;
+      // The shopper saw the current price when adding more
+      existingCartItem.priceAtAdd = unitPrice;
     } else {
       // Add new item to cart
-      user.cart.push({
+      owner.cart.push({
         product: productId,
-        quantity
+        variant: variantId,
+        quantity,
+        priceAtAdd: unitPrice
       });
     }
 
-    await user.save();
+    await owner.save();
 
     // Populate cart for response
-    await user.populate('cart.product', 'name price images stock');
+    await owner.populate('cart.product', CART_PRODUCT_FIELDS);
 
-    res.json({
+    res.json(withCartToken(owner, {
       success: true,
       message: 'Item added to cart successfully',
-      cart: user.cart
-    });
+      cart: owner.cart
+    }));
   } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -87,31 +139,72 @@ router.post('/cart', protect, [
 
 // @desc    Get user cart
 // @route   GET /api/users/cart
-// @access  Private
-router.get('/cart', protect, async (req, res) => {
+// @access  Public (guests identified by X-Cart-Token)
+router.get('/cart', optionalAuth, resolveCart, async (req, res) => {
   try {
-    const user = await User.findById(req.user.id)
-      .populate('cart.product', 'name price images stock');
+    const owner = req.cartOwner;
 
-    // Calculate cart totals
-    const cartTotal = user.cart.reduce((total, item) => {
-      if (item.product) {
-        return total + (item.product.price * item.quantity);
+    // Check the cart against the catalog before showing it
+    const lines = await reviewCart(owner.cart);
+    const warnings = getCartWarnings(lines);
+
+    await owner.populate('cart.product', CART_PRODUCT_FIELDS);
+
+    // Calculate cart totals at current prices; unavailable lines don't count
+    const cartTotal = roundPrice(lines.reduce((total, line) => {
+      if (typeof line.unitPrice === 'number') {
+        return total + (line.unitPrice * line.quantity);
       }
       return total;
-    }, 0);
+    }, 0));
 
-    const totalItems = user.cart.reduce((total, item) => total + item.quantity, 0);
+    const totalItems = owner.cart.reduce((total, item) => total + item.quantity, 0);
 
-    res.json({
+    res.json(withCartToken(owner, {
       success: true,
-      cart: user.cart,
+      cart: owner.cart,
+      coupons: owner.cartCoupons,
+      lines,
+      warnings,
       cartSummary: {
         totalItems,
         subtotal: cartTotal,
-        itemCount: user.cart.length
+        itemCount: owner.cart.length,
+        hasWarnings: warnings.length > 0
       }
+    }));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
     });
+  }
+});
+
+// @desc    Resolve cart warnings
+// @route   POST /api/users/cart/fix
+// @access  Public (guests identified by X-Cart-Token)
+router.post('/cart/fix', optionalAuth, resolveCart, async (req, res) => {
+  try {
+    const owner = req.cartOwner;
+
+    // Accept current prices, trim quantities to stock and drop lines that
+    // can no longer be bought
+    const changes = fixCart(owner, await reviewCart(owner.cart));
+
+    if (changes.length > 0) {
+      await owner.save();
+    }
+
+    await owner.populate('cart.product', CART_PRODUCT_FIELDS);
+
+    res.json(withCartToken(owner, {
+      success: true,
+      message: changes.length > 0 ? 'Cart updated to match the catalog' : 'Cart is up to date',
+      changes,
+      cart: owner.cart
+    }));
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -121,10 +214,110 @@ router.get('/cart', protect, async (req, res) => {
   }
 });
 
+// @desc    Restore a cart from a recovery email link
+// @route   POST /api/users/cart/recover
+// @access  Public (guests identified by X-Cart-Token)
+router.post('/cart/recover', optionalAuth, resolveCart, [
+  body('token', 'Recovery token is required').notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const owner = req.cartOwner;
+    const { adjustments } = await restoreRecoveredCart(owner, req.body.token, req.user);
+
+    await owner.save();
+    await owner.populate('cart.product', CART_PRODUCT_FIELDS);
+
+    res.json(withCartToken(owner, {
+      success: true,
+      message: 'Cart restored successfully',
+      adjustments,
+      coupons: owner.cartCoupons,
+      cart: owner.cart
+    }));
+  } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get shipping options for cart
+// @route   GET /api/users/cart/shipping-options
+// @access  Public (guests identified by X-Cart-Token)
+router.get('/cart/shipping-options', optionalAuth, resolveCart, async (req, res) => {
+  try {
+    const owner = req.cartOwner;
+
+    if (owner.cart.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your cart is empty'
+      });
+    }
+
+    // Quote for a saved address, or for the address given in the query.
+    // Guests can only give an address in the query.
+    let address = req.query;
+    if (req.user && req.query.addressId) {
+      address = owner.addresses.id(req.query.addressId);
+    } else if (req.user && !req.query.country) {
+      address = owner.addresses.find(candidate => candidate.isDefault);
+    }
+
+    if (!address || !address.country) {
+      return res.status(400).json({
+        success: false,
+        message: 'A shipping address or country is required'
+      });
+    }
+
+    const lines = await buildLines(owner.cart);
+    const shippingOptions = await getShippingOptions(lines, address);
+
+    res.json({
+      success: true,
+      shippingOptions
+    });
+  } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
 // @desc    Update cart item quantity
 // @route   PUT /api/users/cart/:productId
-// @access  Private
-router.put('/cart/:productId', protect, [
+// @access  Public (guests identified by X-Cart-Token)
+router.put('/cart/:productId', optionalAuth, resolveCart, [
+  body('variantId', 'Invalid variant').optional().isMongoId(),
   body('quantity', 'Quantity must be a positive number').isInt({ min: 1 })
 ], async (req, res) => {
   try {
@@ -137,7 +330,7 @@ router.put('/cart/:productId', protect, [
       });
     }
 
-    const { quantity } = req.body;
+    const { variantId, quantity } = req.body;
     const productId = req.params.productId;
 
     // Check product stock
@@ -149,17 +342,15 @@ router.put('/cart/:productId', protect, [
       });
     }
 
-    if (product.stock < quantity) {
+    if (getAvailableStock(product, variantId) < quantity) {
       return res.status(400).json({
         success: false,
         message: 'Insufficient stock available'
       });
     }
 
-    const user = await User.findById(req.user.id);
-    const cartItem = user.cart.find(item => 
-      item.product.toString() === productId
-    );
+    const owner = req.cartOwner;
+    const cartItem = findCartItem(owner.cart, productId, variantId);
 
     if (!cartItem) {
       return res.status(404).json({
@@ -169,16 +360,23 @@ router.put('/cart/:productId', protect, [
     }
 
     cartItem.quantity = quantity;
-    await user.save();
+    await owner.save();
 
-    await user.populate('cart.product', 'name price images stock');
+    await owner.populate('cart.product', CART_PRODUCT_FIELDS);
 
-    res.json({
+    res.json(withCartToken(owner, {
       success: true,
       message: 'Cart updated successfully',
-      cart: user.cart
-    });
+      cart: owner.cart
+    }));
   } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -189,24 +387,26 @@ router.put('/cart/:productId', protect, [
 
 // @desc    Remove item from cart
 // @route   DELETE /api/users/cart/:productId
-// @access  Private
-router.delete('/cart/:productId', protect, async (req, res) => {
+// @access  Public (guests identified by X-Cart-Token)
+router.delete('/cart/:productId', optionalAuth, resolveCart, async (req, res) => {
   try {
     const productId = req.params.productId;
-    const user = await User.findById(req.user.id);
+    const owner = req.cartOwner;
 
-    user.cart = user.cart.filter(item => 
-      item.product.toString() !== productId
+    // Without ?variantId every variant of the product is removed
+    owner.cart = owner.cart.filter(item =>
+      item.product.toString() !== productId ||
+      (req.query.variantId && String(item.variant) !== req.query.variantId)
     );
 
-    await user.save();
-    await user.populate('cart.product', 'name price images stock');
+    await owner.save();
+    await owner.populate('cart.product', CART_PRODUCT_FIELDS);
 
-    res.json({
+    res.json(withCartToken(owner, {
       success: true,
       message: 'Item removed from cart',
-      cart: user.cart
-    });
+      cart: owner.cart
+    }));
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -218,10 +418,16 @@ router.delete('/cart/:productId', protect, async (req, res) => {
 
 // @desc    Clear entire cart
 // @route   DELETE /api/users/cart
-// @access  Private
-router.delete('/cart', protect, async (req, res) => {
+// @access  Public (guests identified by X-Cart-Token)
+router.delete('/cart', optionalAuth, resolveCart, async (req, res) => {
   try {
-    await User.findByIdAndUpdate(req.user.id, { cart: [] });
+    const owner = req.cartOwner;
+
+    if (!owner.isNew) {
+      owner.cart = [];
+      owner.cartCoupons = [];
+      await owner.save();
+    }
 
     res.json({
       success: true,
@@ -237,6 +443,86 @@ router.delete('/cart', protect, async (req, res) => {
   }
 });
 
+// @desc    Apply coupon to cart
+// @route   POST /api/users/cart/apply-coupon
+// @access  Public (guests identified by X-Cart-Token)
+router.post('/cart/apply-coupon', optionalAuth, resolveCart, [
+  body('code', 'Coupon code is required').notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const owner = req.cartOwner;
+
+    if (owner.cart.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your cart is empty'
+      });
+    }
+
+    // Validate the new code together with those already applied
+    const couponCodes = normalizeCodes([...owner.cartCoupons, req.body.code]);
+    const pricing = await priceOrder(owner.cart, { couponCodes, user: req.user });
+
+    owner.cartCoupons = couponCodes;
+    await owner.save();
+
+    res.json(withCartToken(owner, {
+      success: true,
+      message: 'Coupon applied successfully',
+      coupons: owner.cartCoupons,
+      pricing: summarizePricing(pricing)
+    }));
+  } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Remove coupon from cart
+// @route   DELETE /api/users/cart/coupons/:code
+// @access  Public (guests identified by X-Cart-Token)
+router.delete('/cart/coupons/:code', optionalAuth, resolveCart, async (req, res) => {
+  try {
+    const code = req.params.code.trim().toUpperCase();
+    const owner = req.cartOwner;
+
+    owner.cartCoupons = owner.cartCoupons.filter(applied => applied !== code);
+    await owner.save();
+
+    res.json(withCartToken(owner, {
+      success: true,
+      message: 'Coupon removed from cart',
+      coupons: owner.cartCoupons
+    }));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
 // @desc    Add item to wishlist
 // @route   POST /api/users/wishlist/:productId
 // @access  Private
@@ -510,4 +796,96 @@ router.put('/preferences', protect, async (req, res) => {
   }
 });
 
+// @desc    Download everything stored about the current user
+// @route   GET /api/users/me/export
+// @access  Private
+router.get('/me/export', protect, blockImpersonation, async (req, res) => {
+  try {
+    const data = await buildDataExport(req.user.id);
+
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Content-Disposition', `attachment; filename=salesmart_data_${Date.now()}.json`);
+    res.json({
+      success: true,
+      data,
+      exportedAt: new Date()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Delete the current user's account after a grace period
+// @route   DELETE /api/users/me
+// @access  Private
+router.delete('/me', protect, blockImpersonation, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+password');
+
+    // Accounts created through a linked identity have no password to confirm
+    if (user.password && !(await user.matchPassword(req.body.password))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    const deletionScheduledFor = await scheduleAccountDeletion(user);
+
+    res.json({
+      success: true,
+      message: 'Your account will be deleted. Sign in before then to restore it',
+      deletionScheduledFor
+    });
+  } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Cancel a scheduled account deletion
+// @route   POST /api/users/me/restore
+// @access  Private
+router.post('/me/restore', protect, blockImpersonation, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    await cancelAccountDeletion(user);
+
+    res.json({
+      success: true,
+      message: 'Your account has been restored'
+    });
+  } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
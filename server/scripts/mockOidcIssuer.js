@@ -0,0 +1,120 @@
+// A local OpenID Connect issuer for trying out and testing social login
+// without a real provider. Point the generic `oidc` provider at it:
+//
+//   OIDC_ISSUER=http://localhost:4010
+//   OIDC_CLIENT_ID=salesmart
+//   OIDC_CLIENT_SECRET=secret
+//
+// Every sign-in is approved straight away as MOCK_OIDC_EMAIL, or as the
+// address passed in the authorization request's `login_hint`.
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+require('dotenv').config();
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT) || 4010;
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.OIDC_CLIENT_ID || 'salesmart';
+const CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET || 'secret';
+const KEY_ID = 'mock-oidc-key';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+// Authorization codes waiting to be exchanged
+const codes = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({
+    keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, alg: 'RS256', use: 'sig' }]
+  });
+});
+
+app.get('/authorize', (req, res) => {
+  const { client_id, redirect_uri, response_type, state, nonce, code_challenge, login_hint } = req.query;
+
+  if (client_id !== CLIENT_ID || response_type !== 'code' || !redirect_uri) {
+    return res.status(400).send('Invalid authorization request');
+  }
+
+  const email = (login_hint || process.env.MOCK_OIDC_EMAIL || 'oidc.user@example.com').toLowerCase();
+  const code = crypto.randomBytes(16).toString('hex');
+
+  codes.set(code, {
+    redirectUri: redirect_uri,
+    nonce,
+    codeChallenge: code_challenge,
+    email,
+    expiresAt: Date.now() + 60 * 1000
+  });
+
+  const url = new URL(redirect_uri);
+  url.searchParams.set('code', code);
+  url.searchParams.set('state', state);
+  res.redirect(url.toString());
+});
+
+app.post('/token', (req, res) => {
+  const { grant_type, code, redirect_uri, client_id, client_secret, code_verifier } = req.body;
+  const grant = codes.get(code);
+  codes.delete(code);
+
+  if (client_id !== CLIENT_ID || client_secret !== CLIENT_SECRET) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+
+  const challenge = code_verifier
+    ? crypto.createHash('sha256').update(code_verifier).digest('base64url')
+    : undefined;
+
+  if (
+    grant_type !== 'authorization_code' ||
+    !grant ||
+    grant.expiresAt < Date.now() ||
+    grant.redirectUri !== redirect_uri ||
+    (grant.codeChallenge && grant.codeChallenge !== challenge)
+  ) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  const [localPart] = grant.email.split('@');
+  const idToken = jwt.sign(
+    {
+      sub: crypto.createHash('sha256').update(grant.email).digest('hex').slice(0, 24),
+      email: grant.email,
+      email_verified: true,
+      name: `${localPart} Tester`,
+      given_name: localPart,
+      family_name: 'Tester',
+      nonce: grant.nonce
+    },
+    privateKey,
+    { algorithm: 'RS256', keyid: KEY_ID, issuer: ISSUER, audience: CLIENT_ID, expiresIn: '5m' }
+  );
+
+  res.json({
+    access_token: crypto.randomBytes(16).toString('hex'),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OIDC issuer running at ${ISSUER} (client ${CLIENT_ID})`);
+});
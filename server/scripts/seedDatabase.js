@@ -27,7 +27,7 @@ const sampleUsers = [
     firstName: 'Admin',
     lastName: 'User',
     email: 'admin@salesmart.com',
-    password: 'admin123',
+    password: 'SalesMart-Admin-2024',
     role: 'admin',
     isActive: true,
     isEmailVerified: true
@@ -36,7 +36,7 @@ const sampleUsers = [
     firstName: 'John',
     lastName: 'Doe',
     email: 'john.doe@email.com',
-    password: 'password123',
+    password: 'SalesMart-Demo-2024',
     role: 'user',
     isActive: true,
     isEmailVerified: true,
@@ -60,7 +60,7 @@ const sampleUsers = [
     firstName: 'Jane',
     lastName: 'Smith',
     email: 'jane.smith@email.com',
-    password: 'password123',
+    password: 'SalesMart-Demo-2024',
     role: 'user',
     isActive: true,
     isEmailVerified: true,
@@ -195,6 +195,13 @@ const sampleProducts = [
         { value: '12', stock: 20 }
       ]
     }],
+    combinations: [
+      { sku: 'NIKEAIRMAX270-8', options: [{ name: 'Size', value: '8' }], stock: 20 },
+      { sku: 'NIKEAIRMAX270-9', options: [{ name: 'Size', value: '9' }], stock: 25 },
+      { sku: 'NIKEAIRMAX270-10', options: [{ name: 'Size', value: '10' }], stock: 30 },
+      { sku: 'NIKEAIRMAX270-11', options: [{ name: 'Size', value: '11' }], stock: 25 },
+      { sku: 'NIKEAIRMAX270-12', options: [{ name: 'Size', value: '12' }], stock: 20 }
+    ],
     tags: ['sneakers', 'nike', 'air-max', 'running', 'lifestyle'],
     weight: 0.5,
     averageRating: 4.4,
@@ -514,10 +521,10 @@ const seedDatabase = async () => {
     console.log(`🛒 Orders: ${orders.length}`);
     console.log('\n🔑 Admin Login:');
     console.log('Email: admin@salesmart.com');
-    console.log('Password: admin123');
+    console.log('Password: SalesMart-Admin-2024');
     console.log('\n🔑 User Login:');
     console.log('Email: john.doe@email.com');
-    console.log('Password: password123');
+    console.log('Password: SalesMart-Demo-2024');
     
     process.exit(0);
   } catch (error) {
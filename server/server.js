@@ -14,11 +14,18 @@ const orderRoutes = require('./routes/orders');
 const userRoutes = require('./routes/users');
 const adminRoutes = require('./routes/admin');
 const paymentRoutes = require('./routes/payments');
+const returnRoutes = require('./routes/returns');
 const recommendationRoutes = require('./routes/recommendations');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
 
+// Import background jobs
+const { startHoldSweeper } = require('./jobs/releaseExpiredHolds');
+const { startAbandonedCartSweeper } = require('./jobs/abandonedCarts');
+const { startOutboxWorker } = require('./jobs/processOutbox');
+const { startAccountErasureSweeper } = require('./jobs/eraseDeletedAccounts');
+
 const app = express();
 
 // Security middleware
@@ -39,6 +46,10 @@ app.use(cors({
   credentials: true
 }));
 
+// Stripe webhooks are verified against the raw body, so it must not be
+// parsed as JSON first
+app.use('/api/payments/webhook', express.raw({ type: 'application/json' }));
+
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -53,7 +64,13 @@ mongoose.connect(process.env.MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('MongoDB connected successfully'))
+.then(() => {
+  console.log('MongoDB connected successfully');
+  startHoldSweeper();
+  startAbandonedCartSweeper();
+  startOutboxWorker();
+  startAccountErasureSweeper();
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes
@@ -63,6 +80,7 @@ app.use('/api/orders', orderRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/payments', paymentRoutes);
+app.use('/api/returns', returnRoutes);
 app.use('/api/recommendations', recommendationRoutes);
 
 // Health check endpoint
@@ -74,9 +92,6 @@ app.get('/api/health', (req, res) => {
   });
 });
 
-// Stripe webhook endpoint (before body parser)
-app.use('/api/webhooks/stripe', express.raw({ type: 'application/json' }));
-
 // Error handling middleware
 app.use(errorHandler);
 
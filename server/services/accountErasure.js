@@ -0,0 +1,282 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const ReturnRequest = require('../models/ReturnRequest');
+const CartRecovery = require('../models/CartRecovery');
+const EmailOutbox = require('../models/EmailOutbox');
+const AuthThrottle = require('../models/AuthThrottle');
+const LockoutEvent = require('../models/LockoutEvent');
+const AuditLog = require('../models/AuditLog');
+const { listSessions, revokeAllSessions } = require('./sessions');
+const { queueMail } = require('./mail');
+const { OPEN_STATUSES } = require('./orderStatus');
+const ErrorResponse = require('../utils/errorResponse');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Returns still being handled
+const OPEN_RETURN_STATUSES = ['requested', 'approved', 'received'];
+
+const IN_PROGRESS_MESSAGE = 'Accounts with orders, returns or refunds in progress cannot be deleted until they are finished';
+
+// Days a deleted account can still be restored
+const getGraceDays = () => parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+
+// Orders placed by the account, and as a guest with its email address
+const getOrderQuery = (user) => ({ $or: [{ user: user._id }, { guestEmail: user.email }] });
+
+// Whether anything still needs the customer's address and contact details:
+// an order on its way, a refund Stripe has not finished or an open return
+const hasOpenOrders = async (user) => {
+  const [openOrder, openReturn] = await Promise.all([
+    Order.exists({
+      $and: [
+        getOrderQuery(user),
+        { $or: [{ status: { $in: OPEN_STATUSES } }, { 'refunds.status': 'pending' }] }
+      ]
+    }),
+    ReturnRequest.exists({ user: user._id, status: { $in: OPEN_RETURN_STATUSES } })
+  ]);
+
+  return Boolean(openOrder || openReturn);
+};
+
+// Everything stored about a user, as a machine-readable archive
+const buildDataExport = async (userId) => {
+  const user = await User.findById(userId)
+    .populate('wishlist', 'name price')
+    .populate('cart.product', 'name price');
+
+  const [orders, returns, products, sessions] = await Promise.all([
+    Order.find({ user: userId }).sort({ createdAt: -1 }).lean(),
+    ReturnRequest.find({ user: userId }).sort({ createdAt: -1 }).lean(),
+    Product.find({ 'reviews.user': userId }).select('name reviews').lean(),
+    listSessions(userId).lean()
+  ]);
+
+  const reviews = products.flatMap(product => product.reviews
+    .filter(review => String(review.user) === String(userId))
+    .map(review => ({
+      product: { _id: product._id, name: product.name },
+      rating: review.rating,
+      comment: review.comment,
+      verified: review.verified,
+      status: review.status || 'approved',
+      createdAt: review.createdAt,
+      updatedAt: review.updatedAt
+    })));
+
+  return {
+    profile: {
+      firstName: user.firstName,
+      lastName: user.lastName,
+      email: user.email,
+      isEmailVerified: user.isEmailVerified,
+      phone: user.phone,
+      dateOfBirth: user.dateOfBirth,
+      avatar: user.avatar,
+      preferences: user.preferences,
+      taxExemption: user.taxExemption,
+      twoFactorEnabled: user.twoFactor.enabled,
+      createdAt: user.createdAt,
+      lastLogin: user.lastLogin
+    },
+    addresses: user.addresses,
+    identities: user.identities,
+    cart: user.cart,
+    cartCoupons: user.cartCoupons,
+    wishlist: user.wishlist,
+    orders,
+    returns,
+    reviews,
+    sessions
+  };
+};
+
+// Schedule the account for erasure after the grace period and sign it out
+// everywhere. Signing back in and calling cancelAccountDeletion undoes it.
+const scheduleAccountDeletion = async (user) => {
+  if (user.deletionScheduledFor) {
+    throw new ErrorResponse('Account deletion is already scheduled', 400, {
+      deletionScheduledFor: user.deletionScheduledFor
+    });
+  }
+
+  if (await hasOpenOrders(user)) {
+    throw new ErrorResponse(IN_PROGRESS_MESSAGE, 400);
+  }
+
+  user.deletionScheduledFor = new Date(Date.now() + getGraceDays() * DAY);
+  await user.save({ validateBeforeSave: false });
+
+  await revokeAllSessions(user._id, 'account_deleted');
+
+  try {
+    await queueMail('accountDeletion', user.email, {
+      firstName: user.firstName,
+      deletionDate: user.deletionScheduledFor.toDateString(),
+      restoreUrl: `${process.env.CLIENT_URL}/login`
+    });
+  } catch (error) {
+    console.error('Account deletion email error:', error.message);
+  }
+
+  return user.deletionScheduledFor;
+};
+
+const cancelAccountDeletion = async (user) => {
+  if (!user.deletionScheduledFor) {
+    throw new ErrorResponse('Account deletion is not scheduled', 400);
+  }
+
+  user.deletionScheduledFor = undefined;
+  await user.save({ validateBeforeSave: false });
+};
+
+// Remove a user's personal data for good. Orders (including guest orders
+// placed with the account's email), refunds and returns are kept for the
+// books with names, street addresses, phone numbers and anything the
+// customer wrote removed; the state, ZIP code and country stay for tax
+// records. Review ratings stay but their text goes. The user document stays
+// as an anonymous stub so orders and reviews still point at something, and
+// audit log entries keep their history under the stub's address.
+const eraseAccount = async (user) => {
+  if (await hasOpenOrders(user)) {
+    throw new ErrorResponse(IN_PROGRESS_MESSAGE, 400);
+  }
+
+  const email = user.email;
+  const pseudonymEmail = `deleted-${user._id}@deleted.example.com`;
+  // Nobody knows this password, so the stub can never sign in
+  const password = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+  const redactedAddress = {
+    firstName: 'Deleted',
+    lastName: 'User',
+    street: 'Redacted',
+    city: 'Redacted'
+  };
+  const addressUpdate = {};
+  for (const [field, value] of Object.entries(redactedAddress)) {
+    addressUpdate[`shippingAddress.${field}`] = value;
+    addressUpdate[`billingAddress.${field}`] = value;
+  }
+
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      await Order.updateMany(
+        getOrderQuery(user),
+        {
+          $set: {
+            ...addressUpdate,
+            'statusHistory.$[byUser].note': 'Redacted'
+          },
+          $unset: {
+            'shippingAddress.phone': 1,
+            'billingAddress.phone': 1,
+            'paymentResult.email_address': 1,
+            notes: 1
+          }
+        },
+        { arrayFilters: [{ 'byUser.updatedBy': user._id }], session }
+      );
+      await Order.updateMany(
+        { guestEmail: email },
+        { guestEmail: pseudonymEmail },
+        { session }
+      );
+
+      // What the customer wrote about their returns, and their photos
+      await ReturnRequest.updateMany(
+        { user: user._id },
+        {
+          $set: {
+            photos: [],
+            'history.$[byUser].note': 'Redacted'
+          },
+          $unset: { 'items.$[].comment': 1 }
+        },
+        { arrayFilters: [{ 'byUser.updatedBy': user._id }], session }
+      );
+
+      await Product.updateMany(
+        { 'reviews.user': user._id },
+        { $set: { 'reviews.$[byUser].comment': '[deleted]' } },
+        { arrayFilters: [{ 'byUser.user': user._id }], session }
+      );
+      await Product.updateMany(
+        { 'reviews.reports.user': user._id },
+        { $unset: { 'reviews.$[].reports.$[byUser].details': 1 } },
+        { arrayFilters: [{ 'byUser.user': user._id }], session }
+      );
+
+      await AuditLog.pseudonymizeUser(user, pseudonymEmail, { session });
+
+      await User.updateOne(
+        { _id: user._id },
+        {
+          $set: {
+            firstName: 'Deleted',
+            lastName: 'User',
+            email: pseudonymEmail,
+            password,
+            role: 'user',
+            addresses: [],
+            wishlist: [],
+            cart: [],
+            cartCoupons: [],
+            identities: [],
+            'preferences.newsletter': false,
+            'preferences.notifications': false,
+            'preferences.categories': [],
+            'twoFactor.enabled': false,
+            isEmailVerified: false,
+            isActive: false,
+            deletedAt: new Date()
+          },
+          $unset: {
+            avatar: 1,
+            phone: 1,
+            dateOfBirth: 1,
+            taxExemption: 1,
+            'twoFactor.secret': 1,
+            'twoFactor.pendingSecret': 1,
+            'twoFactor.backupCodes': 1,
+            'twoFactor.lastUsedStep': 1,
+            'twoFactor.enabledAt': 1,
+            emailVerificationToken: 1,
+            emailVerificationExpire: 1,
+            emailVerificationSentAt: 1,
+            resetPasswordToken: 1,
+            resetPasswordExpire: 1,
+            passwordHistory: 1,
+            lastLogin: 1,
+            deletionScheduledFor: 1
+          }
+        },
+        { session }
+      );
+
+      // Records kept about the email address itself
+      await CartRecovery.deleteMany({ user: user._id }, { session });
+      await EmailOutbox.deleteMany({ to: email }, { session });
+      await AuthThrottle.deleteMany({ kind: 'account', value: email }, { session });
+      await LockoutEvent.deleteMany({ kind: 'account', value: email }, { session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  await revokeAllSessions(user._id, 'account_deleted');
+};
+
+module.exports = {
+  buildDataExport,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  eraseAccount
+};
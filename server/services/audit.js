@@ -0,0 +1,128 @@
+const AuditLog = require('../models/AuditLog');
+
+// Paths left out of diffs: bookkeeping, secrets, and collections too big or
+// too busy to be worth copying on every change
+const IGNORED_PATHS = [
+  '_id',
+  '__v',
+  'id',
+  'createdAt',
+  'updatedAt',
+  'password',
+  'resetPasswordToken',
+  'resetPasswordExpire',
+  'emailVerificationToken',
+  'emailVerificationExpire',
+  'twoFactor',
+  'reviews',
+  'statusHistory'
+];
+
+const toPlain = (value) => {
+  if (!value) {
+    return {};
+  }
+  return typeof value.toObject === 'function'
+    ? value.toObject({ depopulate: true, virtuals: false })
+    : value;
+};
+
+const isPlainObject = (value) => {
+  return value !== null &&
+    typeof value === 'object' &&
+    !Array.isArray(value) &&
+    !(value instanceof Date) &&
+    value.constructor === Object;
+};
+
+// Flatten nested objects into dotted paths. Arrays, dates and ids are
+// compared as whole values.
+const flatten = (object, prefix = '', result = {}) => {
+  for (const [key, value] of Object.entries(object)) {
+    if (IGNORED_PATHS.includes(key)) {
+      continue;
+    }
+
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value)) {
+      flatten(value, path, result);
+    } else {
+      result[path] = value;
+    }
+  }
+  return result;
+};
+
+// JSON copies, so ids and dates are stored as they would be shown
+const toStored = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+// The fields that differ between two versions of a document
+const diff = (before, after) => {
+  const beforePaths = flatten(toPlain(before));
+  const afterPaths = flatten(toPlain(after));
+  const paths = new Set([...Object.keys(beforePaths), ...Object.keys(afterPaths)]);
+
+  const changes = [];
+  for (const path of paths) {
+    const from = toStored(beforePaths[path]);
+    const to = toStored(afterPaths[path]);
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ path, before: from, after: to });
+    }
+  }
+  return changes;
+};
+
+// Build an audit entry for a change made by the user behind `req`, or by
+// the admin impersonating them. `target` is `{ type, id, label }`; `before`
+// and `after` are the document before and after the change (either may be
+// missing for creates and deletes).
+const buildEntry = (req, action, target, { before, after, details } = {}) => {
+  const actor = req.impersonator || req.user;
+
+  return {
+    actor: actor ? actor._id : undefined,
+    actorEmail: actor ? actor.email : undefined,
+    actorRole: actor ? actor.role : undefined,
+    onBehalfOf: req.impersonator ? req.user._id : undefined,
+    action,
+    target,
+    changes: diff(before, after),
+    details,
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+  };
+};
+
+// Record privileged changes. Inside a transaction the entries commit or
+// roll back with the change; otherwise the change has already happened, so
+// a failure to record it is logged rather than failing the request.
+const recordAudits = async (req, entries, { session } = {}) => {
+  const documents = entries.map(entry => buildEntry(req, entry.action, entry.target, entry));
+
+  if (documents.length === 0) {
+    return;
+  }
+
+  if (session) {
+    await AuditLog.create(documents, { session, ordered: true });
+    return;
+  }
+
+  try {
+    await AuditLog.insertMany(documents);
+  } catch (error) {
+    console.error(`Audit log error (${documents.map(doc => doc.action).join(', ')}):`, error.message);
+  }
+};
+
+const recordAudit = (req, action, target, options = {}) => {
+  return recordAudits(req, [{ action, target, ...options }], options);
+};
+
+module.exports = {
+  diff,
+  recordAudit,
+  recordAudits
+};
@@ -0,0 +1,162 @@
+const AuthThrottle = require('../models/AuthThrottle');
+const LockoutEvent = require('../models/LockoutEvent');
+const ErrorResponse = require('../utils/errorResponse');
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+// Failures are forgotten after this long without another one
+const FAILURE_WINDOW = 15 * MINUTE;
+
+// Counters, including how many lockouts there have been, are removed after
+// this long without a failure
+const THROTTLE_LIFETIME = 24 * 60 * MINUTE;
+
+const MAX_BACKOFF = 60 * SECOND;
+const MAX_LOCKOUT = 24 * 60 * MINUTE;
+
+const getSettings = () => ({
+  // Failures allowed before each attempt has to wait
+  backoffAfter: parseInt(process.env.AUTH_BACKOFF_AFTER) || 3,
+  // Failures that lock an account or an IP address out
+  maxAccountFailures: parseInt(process.env.AUTH_MAX_FAILURES) || 10,
+  maxIpFailures: parseInt(process.env.AUTH_IP_MAX_FAILURES) || 50,
+  // The first lockout; later ones double
+  lockoutMinutes: parseInt(process.env.AUTH_LOCKOUT_MINUTES) || 15
+});
+
+// The counters an attempt is checked against: one for the email address it
+// was for, whether or not an account has it, and one for the IP address
+const getKeys = (action, { email, ip }) => {
+  const keys = [];
+
+  if (email) {
+    keys.push({ action, kind: 'account', value: String(email).toLowerCase().trim() });
+  }
+  if (ip) {
+    keys.push({ action, kind: 'ip', value: ip });
+  }
+
+  return keys;
+};
+
+const formatWait = (ms) => {
+  const seconds = Math.ceil(ms / SECOND);
+  return seconds < 60 ? `${seconds} seconds` : `${Math.ceil(seconds / 60)} minutes`;
+};
+
+// Throw a 429 if the account or IP address is locked out or has to wait
+// before trying again
+const checkThrottle = async (action, identity) => {
+  const keys = getKeys(action, identity);
+
+  if (keys.length === 0) {
+    return;
+  }
+
+  const now = Date.now();
+  const throttles = await AuthThrottle.find({ $or: keys });
+
+  const wait = Math.max(0, ...throttles.map(throttle => Math.max(
+    throttle.lockedUntil ? throttle.lockedUntil.getTime() - now : 0,
+    throttle.nextAttemptAt ? throttle.nextAttemptAt.getTime() - now : 0
+  )));
+
+  if (wait > 0) {
+    throw new ErrorResponse(
+      `Too many failed attempts. Please try again in ${formatWait(wait)}`,
+      429,
+      { retryAfter: Math.ceil(wait / SECOND) }
+    );
+  }
+};
+
+// Lock one counter out once it reaches its limit. Only one of several
+// failures racing past the limit gets to lock and record the event.
+const lockOut = async (throttle, maxFailures, context) => {
+  const locked = await AuthThrottle.findOneAndUpdate(
+    { _id: throttle._id, failures: { $gte: maxFailures } },
+    { $set: { failures: 0 }, $inc: { lockouts: 1 } },
+    { new: true }
+  );
+
+  if (!locked) {
+    return null;
+  }
+
+  const minutes = getSettings().lockoutMinutes * 2 ** (locked.lockouts - 1);
+  const lockedUntil = new Date(Date.now() + Math.min(minutes * MINUTE, MAX_LOCKOUT));
+
+  await AuthThrottle.updateOne(
+    { _id: locked._id },
+    {
+      lockedUntil,
+      $unset: { nextAttemptAt: 1 },
+      expiresAt: new Date(lockedUntil.getTime() + THROTTLE_LIFETIME)
+    }
+  );
+
+  await LockoutEvent.create({
+    action: locked.action,
+    kind: locked.kind,
+    value: locked.value,
+    user: locked.kind === 'account' ? context.user : undefined,
+    ip: context.ip,
+    userAgent: context.userAgent,
+    failures: maxFailures,
+    lockouts: locked.lockouts,
+    lockedUntil
+  });
+
+  return lockedUntil;
+};
+
+// Count a failed attempt against the account and the IP address. Past a few
+// failures each attempt has to wait longer (1, 2, 4... seconds, at most a
+// minute); at the limit the account or IP address is locked out.
+const recordFailure = async (action, identity, { user, userAgent } = {}) => {
+  const settings = getSettings();
+  const now = Date.now();
+
+  for (const key of getKeys(action, identity)) {
+    // Start counting again after a quiet spell
+    await AuthThrottle.updateOne(
+      { ...key, lastFailureAt: { $lt: new Date(now - FAILURE_WINDOW) } },
+      { failures: 0 }
+    );
+
+    const throttle = await AuthThrottle.findOneAndUpdate(
+      key,
+      {
+        $inc: { failures: 1 },
+        $set: {
+          lastFailureAt: new Date(now),
+          expiresAt: new Date(now + THROTTLE_LIFETIME)
+        }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    const maxFailures = key.kind === 'account'
+      ? settings.maxAccountFailures
+      : settings.maxIpFailures;
+
+    if (throttle.failures >= maxFailures) {
+      await lockOut(throttle, maxFailures, { user, ip: identity.ip, userAgent });
+    } else if (throttle.failures > settings.backoffAfter) {
+      const delay = Math.min(2 ** (throttle.failures - settings.backoffAfter - 1) * SECOND, MAX_BACKOFF);
+      await AuthThrottle.updateOne({ _id: throttle._id }, { nextAttemptAt: new Date(now + delay) });
+    }
+  }
+};
+
+// Forget an account's failures after it proves itself
+const clearFailures = (action, { email }) => {
+  return AuthThrottle.deleteOne(getKeys(action, { email })[0]);
+};
+
+module.exports = {
+  checkThrottle,
+  recordFailure,
+  clearFailures
+};
@@ -0,0 +1,284 @@
+const Product = require('../models/Product');
+const GuestCart = require('../models/GuestCart');
+const { resolveCombination } = require('./pricing');
+const { normalizeCodes } = require('./coupons');
+const { verifyScopedToken } = require('../utils/scopedTokens');
+
+// Cart lines are identified by product and, for products sold as variant
+// combinations, by the chosen combination
+const findCartItem = (cart, productId, variantId) => {
+  return cart.find(item =>
+    item.product.toString() === String(productId) &&
+    String(item.variant || '') === String(variantId || '')
+  );
+};
+
+// Units available for a cart line: the combination's stock when the
+// product is sold as combinations, otherwise the product's
+const getAvailableStock = (product, variantId) => {
+  const combination = resolveCombination(product, { variant: variantId });
+  return combination ? combination.stock : product.stock;
+};
+
+// The price a cart line would sell at now
+const getUnitPrice = (product, variantId) => {
+  const combination = variantId && product.combinations.id(variantId);
+  return combination && typeof combination.price === 'number' ? combination.price : product.price;
+};
+
+// Check every cart line against the catalog. Each line comes back with its
+// current price and stock and a list of warnings: the price went up or down
+// since it was added, there is not enough stock, or the product or variant
+// can no longer be bought (inactive, discontinued or deleted).
+const reviewCart = async (cart) => {
+  const products = await Product.find({ _id: { $in: cart.map(item => item.product) } });
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+  return cart.map(item => {
+    const product = productsById.get(item.product.toString());
+    const line = {
+      item: item._id,
+      product: item.product,
+      variant: item.variant,
+      quantity: item.quantity,
+      priceAtAdd: item.priceAtAdd,
+      warnings: []
+    };
+
+    const combination = product && item.variant && product.combinations.id(item.variant);
+    const unavailable = !product ||
+      ['inactive', 'discontinued'].includes(product.status) ||
+      (item.variant && (!combination || !combination.isActive)) ||
+      (!item.variant && product.combinations.length > 0);
+
+    if (unavailable) {
+      line.name = product ? product.name : undefined;
+      line.warnings.push({
+        type: 'unavailable',
+        message: product
+          ? `${product.name} is no longer available`
+          : 'This product is no longer available'
+      });
+      return line;
+    }
+
+    line.name = product.name;
+    line.sku = combination ? combination.sku : product.sku;
+    line.image = (combination && combination.image?.url) || product.images[0]?.url;
+    line.unitPrice = getUnitPrice(product, item.variant);
+    line.available = product.status === 'out_of_stock'
+      ? 0
+      : (combination ? combination.stock : product.stock);
+
+    if (typeof item.priceAtAdd === 'number' && item.priceAtAdd !== line.unitPrice) {
+      const increased = line.unitPrice > item.priceAtAdd;
+      line.warnings.push({
+        type: increased ? 'price_increased' : 'price_decreased',
+        message: `The price of ${product.name} has ${increased ? 'gone up' : 'dropped'} from ${item.priceAtAdd} to ${line.unitPrice}`,
+        previousPrice: item.priceAtAdd,
+        currentPrice: line.unitPrice
+      });
+    }
+
+    if (line.available < item.quantity) {
+      line.warnings.push({
+        type: 'insufficient_stock',
+        message: line.available > 0
+          ? `Only ${line.available} of ${product.name} left in stock`
+          : `${product.name} is out of stock`,
+        requested: item.quantity,
+        available: line.available
+      });
+    }
+
+    return line;
+  });
+};
+
+// The warnings of a reviewed cart as one list, each naming its cart line
+const getCartWarnings = (lines) => {
+  return lines.flatMap(line => line.warnings.map(warning => ({
+    item: line.item,
+    product: line.product,
+    variant: line.variant,
+    ...warning
+  })));
+};
+
+// Resolve the warnings of a reviewed cart on the cart itself: accept the
+// current prices, cut quantities down to the stock left and drop lines that
+// can no longer be bought. The caller saves the cart owner. Returns what was
+// changed.
+const fixCart = (owner, lines) => {
+  const changes = [];
+
+  for (const line of lines) {
+    if (line.warnings.length === 0) {
+      continue;
+    }
+
+    const item = owner.cart.id(line.item);
+    const types = line.warnings.map(warning => warning.type);
+
+    if (types.includes('unavailable') || line.available === 0) {
+      owner.cart.pull(line.item);
+      changes.push({ item: line.item, product: line.product, action: 'removed' });
+      continue;
+    }
+
+    if (types.includes('insufficient_stock')) {
+      changes.push({
+        item: line.item,
+        product: line.product,
+        action: 'quantity_reduced',
+        from: item.quantity,
+        to: line.available
+      });
+      item.quantity = line.available;
+    }
+
+    if (types.includes('price_increased') || types.includes('price_decreased')) {
+      changes.push({
+        item: line.item,
+        product: line.product,
+        action: 'price_updated',
+        from: item.priceAtAdd,
+        to: line.unitPrice
+      });
+      item.priceAtAdd = line.unitPrice;
+    }
+  }
+
+  return changes;
+};
+
+// The lines of an order as cart lines to check at checkout. Each line keeps
+// the price the shopper saw: the cart's, or else the one sent with the
+// order, so lines that were never in the cart get the same checks.
+const getCheckoutLines = (cart, orderItems) => {
+  return orderItems.map(orderItem => {
+    const cartItem = findCartItem(cart, orderItem.product, orderItem.variant);
+
+    return {
+      _id: cartItem ? cartItem._id : undefined,
+      product: orderItem.product,
+      variant: orderItem.variant,
+      quantity: parseInt(orderItem.quantity),
+      priceAtAdd: cartItem
+        ? cartItem.priceAtAdd
+        : (typeof orderItem.price === 'number' ? orderItem.price : undefined)
+    };
+  });
+};
+
+// Take what was ordered out of a cart: lines ordered in full are removed,
+// lines ordered in part keep the rest, and the coupons the order redeemed
+// are dropped. Anything else stays. The caller saves the owner.
+const removeOrderedItems = (owner, orderLines, redeemedCodes = []) => {
+  for (const line of orderLines) {
+    const item = findCartItem(owner.cart, line.product, line.variant);
+
+    if (!item) {
+      continue;
+    }
+
+    if (item.quantity > line.quantity) {
+      item.quantity -= line.quantity;
+    } else {
+      owner.cart.pull(item._id);
+    }
+  }
+
+  owner.cartCoupons = owner.cartCoupons.filter(code => !redeemedCodes.includes(code));
+};
+
+// Find the guest cart a cart token refers to. Invalid tokens throw; carts
+// that have expired since the token was issued come back as null.
+const findGuestCart = async (cartToken) => {
+  return GuestCart.findById(verifyScopedToken(cartToken, 'cart'));
+};
+
+// Add cart lines to an owner's cart without going beyond the stock
+// available; lines that can no longer be bought are dropped. Quantities of
+// lines already in the cart are summed, or with `sumQuantities` off only
+// raised to the added quantity. Nothing already in the cart is taken away.
+// The caller saves the owner. Returns the lines that could not be added in
+// full.
+const mergeCartItems = async (owner, items, { sumQuantities = true } = {}) => {
+  const adjustments = [];
+
+  for (const item of items) {
+    const product = await Product.findById(item.product);
+    const existing = findCartItem(owner.cart, item.product, item.variant);
+    const existingQuantity = existing ? existing.quantity : 0;
+    const requested = sumQuantities
+      ? existingQuantity + item.quantity
+      : Math.max(existingQuantity, item.quantity);
+
+    let available = 0;
+    if (product && product.status === 'active') {
+      try {
+        available = getAvailableStock(product, item.variant);
+      } catch (error) {
+        // The variant no longer exists or was deactivated
+        available = 0;
+      }
+    }
+
+    const quantity = Math.min(requested, available);
+
+    if (quantity < requested) {
+      adjustments.push({
+        product: item.product,
+        variant: item.variant,
+        requested,
+        quantity
+      });
+    }
+
+    if (existing) {
+      existing.quantity = Math.max(existingQuantity, quantity);
+    } else if (quantity > 0) {
+      owner.cart.push({
+        product: item.product,
+        variant: item.variant,
+        quantity,
+        priceAtAdd: item.priceAtAdd
+      });
+    }
+  }
+
+  return adjustments;
+};
+
+// Move a guest's cart into the user's cart when they sign in, summing the
+// quantities of lines in both. The caller saves the user and then deletes
+// the returned guest cart. Returns it with the lines that could not be
+// merged in full.
+const mergeGuestCart = async (user, cartToken) => {
+  const guestCart = await findGuestCart(cartToken);
+
+  if (!guestCart) {
+    return { adjustments: [], guestCart: null };
+  }
+
+  const adjustments = await mergeCartItems(user, guestCart.cart);
+
+  user.cartCoupons = normalizeCodes([...user.cartCoupons, ...guestCart.cartCoupons]);
+
+  return { adjustments, guestCart };
+};
+
+module.exports = {
+  findCartItem,
+  getAvailableStock,
+  getUnitPrice,
+  reviewCart,
+  getCartWarnings,
+  getCheckoutLines,
+  removeOrderedItems,
+  fixCart,
+  findGuestCart,
+  mergeCartItems,
+  mergeGuestCart
+};
@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const CartRecovery = require('../models/CartRecovery');
+const Coupon = require('../models/Coupon');
+const ErrorResponse = require('../utils/errorResponse');
+const { roundPrice } = require('../utils/money');
+const { signScopedToken, verifyScopedToken } = require('../utils/scopedTokens');
+const { mergeCartItems } = require('./cart');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// How long a recovery link and its coupon stay valid, and how long after
+// the email an order still counts as recovered
+const getRecoveryDays = () => parseInt(process.env.ABANDONED_CART_LINK_DAYS) || 7;
+
+// Percentage off offered with recovery emails; 0 sends them without a coupon
+const getRecoveryCouponPercent = () => parseFloat(process.env.ABANDONED_CART_COUPON_PERCENT) || 0;
+
+// A single use coupon for one recovery email, if coupons are turned on
+const createRecoveryCoupon = async (user) => {
+  const percent = getRecoveryCouponPercent();
+
+  if (percent <= 0) {
+    return null;
+  }
+
+  return Coupon.create({
+    code: `COMEBACK-${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+    description: `Abandoned cart offer for ${user.email}`,
+    type: 'percentage',
+    value: percent,
+    usageLimit: 1,
+    usageLimitPerUser: 1,
+    endsAt: new Date(Date.now() + getRecoveryDays() * DAY),
+    stackable: false
+  });
+};
+
+// Deep link that restores the emailed cart
+const getRecoveryLink = (recovery) => {
+  const token = signScopedToken('cart-recovery', recovery._id, `${getRecoveryDays()}d`);
+  return `${process.env.CLIENT_URL}/cart/recover?token=${token}`;
+};
+
+// Put the emailed cart back into `owner`'s cart (the user's own, or a guest
+// cart when they are not signed in) and apply its coupon while it is still
+// usable. The caller saves the owner.
+const restoreRecoveredCart = async (owner, token, user) => {
+  let recoveryId;
+  try {
+    recoveryId = verifyScopedToken(token, 'cart-recovery');
+  } catch (error) {
+    throw new ErrorResponse('This cart link is invalid or has expired', 400);
+  }
+
+  const recovery = await CartRecovery.findById(recoveryId);
+
+  if (!recovery) {
+    throw new ErrorResponse('This cart link is invalid or has expired', 400);
+  }
+
+  if (user && recovery.user.toString() !== user.id) {
+    throw new ErrorResponse('This cart link belongs to another account', 403);
+  }
+
+  // Restoring never doubles what is still in the cart
+  const adjustments = await mergeCartItems(owner, recovery.items, { sumQuantities: false });
+
+  if (recovery.coupon) {
+    const coupon = await Coupon.findById(recovery.coupon);
+    if (coupon && coupon.isActive && (!coupon.endsAt || coupon.endsAt > new Date())) {
+      owner.cartCoupons = [...new Set([...owner.cartCoupons, coupon.code])];
+    }
+  }
+
+  if (recovery.status === 'sent') {
+    recovery.status = 'restored';
+    recovery.restoredAt = new Date();
+    await recovery.save();
+  }
+
+  return { recovery, adjustments };
+};
+
+// Credit a new order to the recovery email that brought the shopper back:
+// one sent to the same user within the recovery window, or whose coupon the
+// order used
+const attributeRecovery = async (order) => {
+  const since = new Date(Date.now() - getRecoveryDays() * DAY);
+  const couponCodes = (order.coupons || []).map(coupon => coupon.code);
+
+  const match = [];
+  if (order.user) {
+    match.push({ user: order.user });
+  }
+  if (couponCodes.length > 0) {
+    match.push({ couponCode: { $in: couponCodes } });
+  }
+
+  if (match.length === 0) {
+    return null;
+  }
+
+  return CartRecovery.findOneAndUpdate(
+    {
+      $or: match,
+      status: { $in: ['sent', 'restored'] },
+      sentAt: { $gte: since }
+    },
+    {
+      status: 'recovered',
+      recoveredAt: new Date(),
+      order: order._id,
+      revenue: order.totalPrice
+    },
+    { sort: { sentAt: -1 }, new: true }
+  );
+};
+
+// Recovery email results for emails sent since `startDate`
+const getRecoveryReport = async (startDate) => {
+  const [totals] = await CartRecovery.aggregate([
+    {
+      $match: {
+        sentAt: { $gte: startDate },
+        status: { $in: ['sent', 'restored', 'recovered'] }
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        emailsSent: { $sum: 1 },
+        cartsRestored: { $sum: { $cond: [{ $ifNull: ['$restoredAt', false] }, 1, 0] } },
+        cartsRecovered: { $sum: { $cond: [{ $eq: ['$status', 'recovered'] }, 1, 0] } },
+        couponsIssued: { $sum: { $cond: [{ $ifNull: ['$coupon', false] }, 1, 0] } },
+        abandonedValue: { $sum: '$cartValue' },
+        revenueRecovered: { $sum: '$revenue' }
+      }
+    }
+  ]);
+
+  const report = totals || {
+    emailsSent: 0,
+    cartsRestored: 0,
+    cartsRecovered: 0,
+    couponsIssued: 0,
+    abandonedValue: 0,
+    revenueRecovered: 0
+  };
+  delete report._id;
+
+  const failedEmails = await CartRecovery.countDocuments({
+    status: 'failed',
+    createdAt: { $gte: startDate }
+  });
+
+  return {
+    ...report,
+    failedEmails,
+    abandonedValue: roundPrice(report.abandonedValue),
+    revenueRecovered: roundPrice(report.revenueRecovered),
+    recoveryRate: report.emailsSent > 0
+      ? roundPrice((report.cartsRecovered / report.emailsSent) * 100)
+      : 0
+  };
+};
+
+module.exports = {
+  getRecoveryDays,
+  createRecoveryCoupon,
+  getRecoveryLink,
+  restoreRecoveredCart,
+  attributeRecovery,
+  getRecoveryReport
+};
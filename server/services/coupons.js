@@ -0,0 +1,220 @@
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const ErrorResponse = require('../utils/errorResponse');
+const { roundPrice } = require('../utils/money');
+
+// Accept a single code or a list of codes and normalise them
+const normalizeCodes = (codes) => {
+  const list = Array.isArray(codes) ? codes : [codes];
+  return [...new Set(
+    list.filter(Boolean).map(code => String(code).trim().toUpperCase())
+  )];
+};
+
+// Whether a priced order line falls within the coupon's scope
+const isInScope = (coupon, line) => {
+  const { categories = [], brands = [], skus = [] } = coupon.scope || {};
+
+  if (categories.length === 0 && brands.length === 0 && skus.length === 0) {
+    return true;
+  }
+
+  return categories.includes(line.productDoc.category) ||
+    brands.includes(line.productDoc.brand) ||
+    skus.includes(line.sku);
+};
+
+// Discount on the eligible lines for a single coupon
+const calculateCouponDiscount = (coupon, eligibleLines) => {
+  const eligibleSubtotal = eligibleLines.reduce(
+    (total, line) => total + line.price * line.quantity, 0
+  );
+
+  switch (coupon.type) {
+    case 'percentage': {
+      const discount = eligibleSubtotal * coupon.value / 100;
+      return coupon.maxDiscount ? Math.min(discount, coupon.maxDiscount) : discount;
+    }
+
+    case 'fixed_amount':
+      return Math.min(coupon.value, eligibleSubtotal);
+
+    case 'buy_x_get_y': {
+      // Every full group of buy + get units earns `getQuantity` discounted
+      // units, taken from the cheapest eligible units
+      const unitPrices = [];
+      eligibleLines.forEach(line => {
+        for (let i = 0; i < line.quantity; i++) {
+          unitPrices.push(line.price);
+        }
+      });
+      unitPrices.sort((a, b) => a - b);
+
+      const groups = Math.floor(unitPrices.length / (coupon.buyQuantity + coupon.getQuantity));
+      const discountedUnits = unitPrices.slice(0, groups * coupon.getQuantity);
+
+      return discountedUnits.reduce((total, price) => total + price, 0) *
+        coupon.getDiscountPercent / 100;
+    }
+
+    default:
+      return 0;
+  }
+};
+
+// Check that a coupon can be used by this user on this order
+const assertCouponUsable = async (coupon, code, { user, itemsPrice, eligibleLines }) => {
+  const now = new Date();
+
+  if (!coupon || !coupon.isActive) {
+    throw new ErrorResponse(`Invalid coupon code: ${code}`, 400);
+  }
+
+  if (coupon.startsAt && coupon.startsAt > now) {
+    throw new ErrorResponse(`Coupon ${code} is not active yet`, 400);
+  }
+
+  if (coupon.endsAt && coupon.endsAt < now) {
+    throw new ErrorResponse(`Coupon ${code} has expired`, 400);
+  }
+
+  if (itemsPrice < coupon.minSpend) {
+    throw new ErrorResponse(`Coupon ${code} requires a minimum spend of ${coupon.minSpend}`, 400);
+  }
+
+  if (eligibleLines.length === 0) {
+    throw new ErrorResponse(`Coupon ${code} does not apply to any items in your order`, 400);
+  }
+
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    throw new ErrorResponse(`Coupon ${code} has reached its usage limit`, 400);
+  }
+
+  if (coupon.usageLimitPerUser) {
+    if (!user) {
+      throw new ErrorResponse(`Please sign in to use coupon ${code}`, 400);
+    }
+
+    const userRedemptions = await CouponRedemption.countDocuments({
+      coupon: coupon._id,
+      user: user._id || user
+    });
+
+    if (userRedemptions >= coupon.usageLimitPerUser) {
+      throw new ErrorResponse(`You have already used coupon ${code}`, 400);
+    }
+  }
+};
+
+// Validate the given coupon codes against a priced order and work out the
+// discount. Unknown or unusable codes are rejected rather than ignored.
+const evaluateCoupons = async (codes, { user, lines, itemsPrice, shippingPrice }) => {
+  const normalizedCodes = normalizeCodes(codes);
+  const result = { discountAmount: 0, freeShipping: false, coupons: [] };
+
+  if (normalizedCodes.length === 0) {
+    return result;
+  }
+
+  const coupons = await Coupon.find({ code: { $in: normalizedCodes } });
+
+  if (normalizedCodes.length > 1) {
+    const single = coupons.find(coupon => !coupon.stackable);
+    if (single) {
+      throw new ErrorResponse(`Coupon ${single.code} cannot be combined with other coupons`, 400);
+    }
+  }
+
+  let itemDiscount = 0;
+
+  for (const code of normalizedCodes) {
+    const coupon = coupons.find(candidate => candidate.code === code);
+    const eligibleLines = coupon ? lines.filter(line => isInScope(coupon, line)) : [];
+
+    await assertCouponUsable(coupon, code, { user, itemsPrice, eligibleLines });
+
+    let discount;
+    if (coupon.type === 'free_shipping') {
+      discount = result.freeShipping ? 0 : shippingPrice;
+      result.freeShipping = true;
+    } else {
+      discount = roundPrice(calculateCouponDiscount(coupon, eligibleLines));
+      itemDiscount += discount;
+    }
+
+    result.coupons.push({
+      coupon: coupon._id,
+      code: coupon.code,
+      type: coupon.type,
+      discount
+    });
+  }
+
+  // Stacked coupons never take the items below zero
+  result.discountAmount = roundPrice(Math.min(itemDiscount, itemsPrice));
+
+  return result;
+};
+
+// Count the order's coupons as used inside the order transaction. Limits are
+// re-checked atomically so concurrent checkouts cannot overrun them.
+const redeemCoupons = async (order, session) => {
+  for (const applied of order.coupons) {
+    const coupon = await Coupon.findOneAndUpdate(
+      {
+        _id: applied.coupon,
+        $or: [
+          { usageLimit: null },
+          { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+        ]
+      },
+      { $inc: { usedCount: 1 } },
+      { new: true, session }
+    );
+
+    if (!coupon) {
+      throw new ErrorResponse(`Coupon ${applied.code} has reached its usage limit`, 409);
+    }
+
+    if (coupon.usageLimitPerUser && order.user) {
+      const userRedemptions = await CouponRedemption.countDocuments({
+        coupon: coupon._id,
+        user: order.user
+      }).session(session);
+
+      if (userRedemptions >= coupon.usageLimitPerUser) {
+        throw new ErrorResponse(`You have already used coupon ${applied.code}`, 409);
+      }
+    }
+
+    await CouponRedemption.create([{
+      coupon: coupon._id,
+      code: coupon.code,
+      user: order.user,
+      order: order._id,
+      discount: applied.discount
+    }], { session });
+  }
+};
+
+// Give the order's coupon uses back, e.g. when the order is cancelled
+const releaseCoupons = async (order, session) => {
+  const redemptions = await CouponRedemption.find({ order: order._id }).session(session);
+
+  for (const redemption of redemptions) {
+    await Coupon.updateOne(
+      { _id: redemption.coupon, usedCount: { $gt: 0 } },
+      { $inc: { usedCount: -1 } },
+      { session }
+    );
+  }
+
+  await CouponRedemption.deleteMany({ order: order._id }, { session });
+};
+
+module.exports = {
+  normalizeCodes,
+  evaluateCoupons,
+  redeemCoupons,
+  releaseCoupons
+};
@@ -0,0 +1,99 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const ErrorResponse = require('../utils/errorResponse');
+const { isSessionActive } = require('./sessions');
+const { getPermissions, hasPermission } = require('./permissions');
+const { recordAudit } = require('./audit');
+
+const PURPOSE = 'impersonation';
+
+const getImpersonationMinutes = () => parseInt(process.env.IMPERSONATION_MINUTES) || 15;
+
+const getAuditTarget = (user) => ({ type: 'User', id: user._id, label: user.email });
+
+// Only customers can be impersonated; a staff account would hand the
+// impersonator its permissions
+const isImpersonatable = async (user) => {
+  return user.isActive && (await getPermissions(user)).length === 0;
+};
+
+// Issue a short-lived access token that acts as `target` on behalf of
+// `admin`. It is tied to the admin's session, so signing that session out
+// also ends the impersonation, and it cannot be refreshed.
+const startImpersonation = async (req, target, reason) => {
+  if (String(target._id) === String(req.user._id)) {
+    throw new ErrorResponse('You cannot impersonate yourself', 400);
+  }
+
+  if (!(await isImpersonatable(target))) {
+    throw new ErrorResponse('Only active customer accounts can be impersonated', 403);
+  }
+
+  const minutes = getImpersonationMinutes();
+  const token = jwt.sign(
+    {
+      purpose: PURPOSE,
+      id: target._id,
+      sid: String(req.sessionId),
+      impersonator: req.user._id
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: `${minutes}m` }
+  );
+
+  await recordAudit(req, 'impersonation.start', getAuditTarget(target), {
+    details: { reason, minutes }
+  });
+
+  return {
+    token,
+    expiresAt: new Date(Date.now() + minutes * 60 * 1000)
+  };
+};
+
+const isImpersonationToken = (decoded) => decoded.purpose === PURPOSE;
+
+// The customer and the admin behind a verified impersonation token, or
+// null if the admin's session was revoked or either account can no
+// longer take part
+const resolveImpersonation = async (decoded) => {
+  if (!(await isSessionActive(decoded.impersonator, decoded.sid))) {
+    return null;
+  }
+
+  const [impersonator, user] = await Promise.all([
+    User.findById(decoded.impersonator),
+    User.findById(decoded.id)
+  ]);
+
+  if (!impersonator || !impersonator.isActive || !user) {
+    return null;
+  }
+
+  if (!(await hasPermission(impersonator, 'users:impersonate')) || !(await isImpersonatable(user))) {
+    return null;
+  }
+
+  return { user, impersonator };
+};
+
+// Record each request made with an impersonation token once it has been
+// answered. Use once req.user and req.impersonator are set.
+const auditImpersonatedRequest = (req, res) => {
+  res.on('finish', () => {
+    recordAudit(req, 'impersonation.request', getAuditTarget(req.user), {
+      details: {
+        method: req.method,
+        path: req.originalUrl,
+        status: res.statusCode
+      }
+    });
+  });
+};
+
+module.exports = {
+  startImpersonation,
+  isImpersonationToken,
+  resolveImpersonation,
+  auditImpersonatedRequest
+};
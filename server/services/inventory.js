@@ -0,0 +1,144 @@
+const Product = require('../models/Product');
+const StockReservation = require('../models/StockReservation');
+const ErrorResponse = require('../utils/errorResponse');
+const { queueAlertMail } = require('./mail');
+
+// Decrement stock for each order line inside the caller's transaction. The
+// `stock >= quantity` filter makes the check and the decrement one atomic
+// step, so concurrent checkouts cannot both take the last units. Lines for a
+// variant combination take from the combination and the product total in
+// the same update. Products this takes down to their low stock threshold
+// are reported to the admins.
+const reserveStock = async (items, session) => {
+  const lowStock = [];
+
+  for (const item of items) {
+    const filter = { _id: item.product, stock: { $gte: item.quantity } };
+    const update = { $inc: { stock: -item.quantity, sales: item.quantity } };
+
+    if (item.variant) {
+      filter.combinations = {
+        $elemMatch: { _id: item.variant, stock: { $gte: item.quantity } }
+      };
+      update.$inc['combinations.$.stock'] = -item.quantity;
+    }
+
+    const updated = await Product.findOneAndUpdate(filter, update, {
+      session,
+      new: true,
+      projection: { name: 1, sku: 1, stock: 1, lowStockThreshold: 1 }
+    });
+
+    if (!updated) {
+      const product = await Product.findById(item.product).session(session);
+
+      if (!product) {
+        throw new ErrorResponse(`Product not found: ${item.name}`, 404);
+      }
+
+      const combination = item.variant && product.combinations.id(item.variant);
+
+      if (item.variant && !combination) {
+        throw new ErrorResponse(`Variant ${item.sku || item.variant} of ${product.name} no longer exists`, 404);
+      }
+
+      throw new ErrorResponse(
+        `Insufficient stock for ${combination ? `${product.name} (${combination.sku})` : product.name}. ` +
+        `Available: ${combination ? combination.stock : product.stock}, Requested: ${item.quantity}`,
+        400
+      );
+    }
+
+    // Alert once, when an order takes stock across the threshold
+    const previousStock = updated.stock + item.quantity;
+    if (previousStock > updated.lowStockThreshold && updated.stock <= updated.lowStockThreshold) {
+      lowStock.push({
+        name: updated.name,
+        sku: updated.sku,
+        stock: updated.stock,
+        lowStockThreshold: updated.lowStockThreshold
+      });
+    }
+  }
+
+  if (lowStock.length > 0) {
+    await queueAlertMail('lowStockAlert', { products: lowStock }, { session });
+  }
+};
+
+// Put stock back for each order line inside the caller's transaction. If a
+// line's variant combination has since been removed only the product total
+// is restored.
+const restoreStock = async (items, session) => {
+  for (const item of items) {
+    const update = { $inc: { stock: item.quantity, sales: -item.quantity } };
+
+    if (item.variant) {
+      const result = await Product.updateOne(
+        { _id: item.product, 'combinations._id': item.variant },
+        { $inc: { ...update.$inc, 'combinations.$.stock': item.quantity } },
+        { session }
+      );
+
+      if (result.matchedCount > 0) {
+        continue;
+      }
+    }
+
+    await Product.updateOne({ _id: item.product }, update, { session });
+  }
+};
+
+// How long stock stays held for an unpaid order
+const getHoldDuration = () => {
+  return (parseInt(process.env.STOCK_HOLD_MINUTES) || 30) * 60 * 1000;
+};
+
+// Take stock for a new order and record a time-limited hold on it. The hold
+// is committed once the order is paid, or released by the sweeper when it
+// expires first.
+const holdStock = async (order, session) => {
+  await reserveStock(order.orderItems, session);
+
+  const expiresAt = new Date(Date.now() + getHoldDuration());
+
+  await StockReservation.create([{
+    order: order._id,
+    user: order.user,
+    items: order.orderItems.map(item => ({
+      product: item.product,
+      variant: item.variant,
+      quantity: item.quantity
+    })),
+    expiresAt
+  }], { session });
+
+  return expiresAt;
+};
+
+// Mark the order's hold as final once payment has been captured
+const commitHold = async (orderId, session) => {
+  await StockReservation.updateOne(
+    { order: orderId, status: 'active' },
+    { status: 'committed', committedAt: new Date() },
+    { session }
+  );
+};
+
+// Close the order's hold without touching stock; callers restore stock
+// themselves so that cancelling a paid order still returns its items
+const closeHold = async (orderId, status, reason, session) => {
+  await StockReservation.updateOne(
+    { order: orderId, status: { $in: ['active', 'committed'] } },
+    { status, releasedAt: new Date(), releaseReason: reason },
+    { session }
+  );
+};
+
+module.exports = {
+  reserveStock,
+  restoreStock,
+  holdStock,
+  commitHold,
+  closeHold
+};
@@ -0,0 +1,197 @@
+const EmailOutbox = require('../../models/EmailOutbox');
+const User = require('../../models/User');
+const templates = require('./templates');
+const { getTransport, getTransportName } = require('./transports');
+
+const MINUTE = 60 * 1000;
+
+// Sending locks older than this belong to a worker that died mid-send
+const STALE_LOCK = 10 * MINUTE;
+
+const getMaxAttempts = () => parseInt(process.env.MAIL_MAX_ATTEMPTS) || 5;
+
+// Wait 1, 2, 4, 8... minutes between attempts, at most six hours
+const getRetryDelay = (attempts) => Math.min(2 ** (attempts - 1), 360) * MINUTE;
+
+const getFromAddress = () => process.env.EMAIL_FROM || process.env.EMAIL_USER;
+
+// Render a template and put the message in the outbox. Inside a
+// transaction the message is only queued, so it goes out with the worker
+// once the transaction commits; otherwise delivery starts right away.
+const queueMail = async (templateName, to, data = {}, { session } = {}) => {
+  const template = templates[templateName];
+
+  if (!template) {
+    throw new Error(`Unknown email template: ${templateName}`);
+  }
+
+  const [message] = await EmailOutbox.create([{
+    to,
+    template: templateName,
+    templateVersion: template.version,
+    subject: template.subject(data),
+    text: template.text(data),
+    html: template.html(data)
+  }], { session });
+
+  if (!session) {
+    deliverMail(message._id).catch(error => {
+      console.error(`Email ${message._id} delivery error:`, error.message);
+    });
+  }
+
+  return message;
+};
+
+// Lock a message for sending. Returns null if it is not due or another
+// worker has it.
+const claimMessage = (filter) => {
+  const now = new Date();
+
+  return EmailOutbox.findOneAndUpdate(
+    {
+      ...filter,
+      $or: [
+        { status: 'queued', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - STALE_LOCK) } }
+      ]
+    },
+    { status: 'sending', lockedAt: now, $inc: { attempts: 1 } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+// Send one claimed message, scheduling a retry if the transport fails
+const sendClaimed = async (message) => {
+  try {
+    const info = await getTransport().sendMail({
+      from: getFromAddress(),
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      html: message.html
+    });
+
+    message.status = 'sent';
+    message.sentAt = new Date();
+    message.messageId = info.messageId;
+    message.lastError = undefined;
+  } catch (error) {
+    message.lastError = error.message;
+
+    if (message.attempts >= getMaxAttempts()) {
+      message.status = 'failed';
+    } else {
+      message.status = 'queued';
+      message.nextAttemptAt = new Date(Date.now() + getRetryDelay(message.attempts));
+    }
+  }
+
+  message.transport = getTransportName();
+  message.lockedAt = undefined;
+  await message.save();
+
+  return message;
+};
+
+// Try to send one queued message now
+const deliverMail = async (messageId) => {
+  const message = await claimMessage({ _id: messageId });
+  return message ? sendClaimed(message) : null;
+};
+
+// Send every message that is due, up to `limit`
+const processOutbox = async (limit = 50) => {
+  let processed = 0;
+
+  while (processed < limit) {
+    const message = await claimMessage({});
+    if (!message) break;
+
+    await sendClaimed(message);
+    processed += 1;
+  }
+
+  return processed;
+};
+
+// Who to email about an order: the account holder, or the guest's email
+const getOrderRecipient = async (order, session) => {
+  if (!order.user) {
+    return {
+      email: order.guestEmail,
+      firstName: order.shippingAddress ? order.shippingAddress.firstName : 'there'
+    };
+  }
+
+  const user = await User.findById(order.user._id || order.user)
+    .select('email firstName')
+    .session(session || null);
+
+  return user ? { email: user.email, firstName: user.firstName } : null;
+};
+
+// The parts of an order the templates show
+const getOrderSummary = (order) => ({
+  id: order._id.toString(),
+  orderNumber: order.orderNumber,
+  status: order.status,
+  items: order.orderItems.map(item => ({
+    name: item.name,
+    quantity: item.quantity,
+    price: item.price,
+    variants: (item.variants || []).map(variant => `${variant.name}: ${variant.value}`).join(', ')
+  })),
+  itemsPrice: order.itemsPrice,
+  shippingPrice: order.shippingPrice,
+  taxPrice: order.taxPrice,
+  discountAmount: order.discountAmount,
+  totalPrice: order.totalPrice,
+  trackingNumber: order.trackingNumber,
+  estimatedDelivery: order.estimatedDelivery
+});
+
+// Queue an order email to the order's customer
+const queueOrderMail = async (templateName, order, data = {}, { session } = {}) => {
+  const recipient = await getOrderRecipient(order, session);
+
+  if (!recipient || !recipient.email) {
+    return null;
+  }
+
+  return queueMail(templateName, recipient.email, {
+    firstName: recipient.firstName,
+    order: getOrderSummary(order),
+    ...data
+  }, { session });
+};
+
+// Addresses that receive operational alerts: ADMIN_ALERT_EMAIL if set,
+// otherwise every active admin
+const getAlertRecipients = async (session) => {
+  if (process.env.ADMIN_ALERT_EMAIL) {
+    return process.env.ADMIN_ALERT_EMAIL.split(',').map(email => email.trim()).filter(Boolean);
+  }
+
+  const admins = await User.find({ role: 'admin', isActive: true })
+    .select('email')
+    .session(session || null);
+  return admins.map(admin => admin.email);
+};
+
+// Queue an alert email to every alert recipient
+const queueAlertMail = async (templateName, data, { session } = {}) => {
+  const recipients = await getAlertRecipients(session);
+
+  for (const email of recipients) {
+    await queueMail(templateName, email, data, { session });
+  }
+};
+
+module.exports = {
+  queueMail,
+  queueOrderMail,
+  queueAlertMail,
+  deliverMail,
+  processOutbox
+};
@@ -0,0 +1,22 @@
+const { escapeHtml, layout, button } = require('./layout');
+
+module.exports = {
+  version: 1,
+  subject: () => 'Your SalesMart account is scheduled for deletion',
+  text: ({ firstName, deletionDate, restoreUrl }) => [
+    `Hi ${firstName},`,
+    '',
+    `Your account and personal data will be deleted on ${deletionDate}.`,
+    'Changed your mind? Sign in before then and restore your account:',
+    restoreUrl,
+    '',
+    'If you did not ask for this, sign in and restore your account, then change your password.'
+  ].join('\n'),
+  html: ({ firstName, deletionDate, restoreUrl }) => layout('Account deletion scheduled', `
+    <p>Hi ${escapeHtml(firstName)},</p>
+    <p>Your account and personal data will be deleted on ${escapeHtml(deletionDate)}.</p>
+    <p>Changed your mind? Sign in before then and restore your account.</p>
+    ${button(restoreUrl, 'Restore account')}
+    <p>If you did not ask for this, sign in and restore your account, then change your password.</p>
+  `)
+};
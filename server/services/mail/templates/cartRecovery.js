@@ -0,0 +1,32 @@
+const {
+  escapeHtml,
+  layout,
+  button,
+  itemsTable,
+  itemsText
+} = require('./layout');
+
+const offer = ({ coupon, validDays }) => coupon
+  ? `Use code ${coupon.code} for ${coupon.percent}% off, valid for ${validDays} days.`
+  : '';
+
+module.exports = {
+  version: 1,
+  subject: () => 'You left something in your cart',
+  text: (data) => [
+    `Hi ${data.firstName},`,
+    '',
+    'You still have these items in your SalesMart cart:',
+    itemsText(data.items),
+    '',
+    offer(data),
+    `Pick up where you left off: ${data.recoveryUrl}`
+  ].join('\n'),
+  html: (data) => layout('Your cart is waiting', `
+    <p>Hi ${escapeHtml(data.firstName)},</p>
+    <p>You still have these items in your SalesMart cart:</p>
+    ${itemsTable(data.items)}
+    ${data.coupon ? `<p>${escapeHtml(offer(data))}</p>` : ''}
+    ${button(data.recoveryUrl, 'Return to your cart')}
+  `)
+};
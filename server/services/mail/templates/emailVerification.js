@@ -0,0 +1,20 @@
+const { escapeHtml, layout, button } = require('./layout');
+
+module.exports = {
+  version: 1,
+  subject: () => 'Please verify your email address',
+  text: ({ firstName, verificationUrl }) => [
+    `Hi ${firstName},`,
+    '',
+    'Please confirm your email address by opening this link:',
+    verificationUrl,
+    '',
+    'If you did not create a SalesMart account you can ignore this email.'
+  ].join('\n'),
+  html: ({ firstName, verificationUrl }) => layout('Verify your email', `
+    <p>Hi ${escapeHtml(firstName)},</p>
+    <p>Please confirm your email address.</p>
+    ${button(verificationUrl, 'Verify email')}
+    <p>If you did not create a SalesMart account you can ignore this email.</p>
+  `)
+};
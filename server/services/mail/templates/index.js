@@ -0,0 +1,15 @@
+// Email templates by name. Each template renders a subject, a plain text
+// and an HTML body from its data; bump a template's version whenever its
+// content changes so the outbox records which version each email used.
+module.exports = {
+  welcome: require('./welcome'),
+  emailVerification: require('./emailVerification'),
+  passwordReset: require('./passwordReset'),
+  passwordResetRequired: require('./passwordResetRequired'),
+  orderConfirmation: require('./orderConfirmation'),
+  shippingUpdate: require('./shippingUpdate'),
+  refundIssued: require('./refundIssued'),
+  lowStockAlert: require('./lowStockAlert'),
+  cartRecovery: require('./cartRecovery'),
+  accountDeletion: require('./accountDeletion')
+};
@@ -0,0 +1,57 @@
+// Helpers shared by the email templates
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatMoney = (amount) => {
+  const value = Number(amount || 0);
+  return `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+};
+
+// Absolute link into the storefront
+const clientUrl = (path) => `${process.env.CLIENT_URL || 'http://localhost:3000'}${path}`;
+
+// Wrap a template's HTML body in the common SalesMart frame. `body` must
+// already be escaped.
+const layout = (title, body) => `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(title)}</title>
+  </head>
+  <body style="font-family: Arial, sans-serif; color: #333; max-width: 600px; margin: 0 auto;">
+    <h2 style="color: #2563eb;">SalesMart</h2>
+    ${body}
+    <p style="color: #888; font-size: 12px;">You are receiving this email because of your SalesMart account or order.</p>
+  </body>
+</html>`;
+
+const button = (href, label) =>
+  `<p><a href="${escapeHtml(href)}" style="background: #2563eb; color: #fff; padding: 10px 16px; text-decoration: none; border-radius: 4px;">${escapeHtml(label)}</a></p>`;
+
+// Order lines as an HTML table and as plain text
+const itemsTable = (items) => `<table style="width: 100%; border-collapse: collapse;">
+  ${items.map(item => `<tr>
+    <td>${escapeHtml(item.name)}${item.variants ? ` (${escapeHtml(item.variants)})` : ''}</td>
+    <td>&times; ${escapeHtml(item.quantity)}</td>
+    <td style="text-align: right;">${formatMoney(item.price * item.quantity)}</td>
+  </tr>`).join('')}
+</table>`;
+
+const itemsText = (items) => items
+  .map(item => `- ${item.name}${item.variants ? ` (${item.variants})` : ''} x ${item.quantity}: ${formatMoney(item.price * item.quantity)}`)
+  .join('\n');
+
+module.exports = {
+  escapeHtml,
+  formatMoney,
+  clientUrl,
+  layout,
+  button,
+  itemsTable,
+  itemsText
+};
@@ -0,0 +1,24 @@
+const { escapeHtml, clientUrl, layout, button } = require('./layout');
+
+module.exports = {
+  version: 1,
+  subject: ({ products }) => products.length === 1
+    ? `Low stock: ${products[0].name}`
+    : `Low stock: ${products.length} products`,
+  text: ({ products }) => [
+    'These products have dropped to their low stock threshold:',
+    '',
+    ...products.map(product =>
+      `- ${product.name} (${product.sku}): ${product.stock} left, threshold ${product.lowStockThreshold}`
+    ),
+    '',
+    `Product analytics: ${clientUrl('/admin/products')}`
+  ].join('\n'),
+  html: ({ products }) => layout('Low stock alert', `
+    <p>These products have dropped to their low stock threshold:</p>
+    <ul>
+      ${products.map(product => `<li>${escapeHtml(product.name)} (${escapeHtml(product.sku)}): <strong>${escapeHtml(product.stock)}</strong> left, threshold ${escapeHtml(product.lowStockThreshold)}</li>`).join('')}
+    </ul>
+    ${button(clientUrl('/admin/products'), 'Manage products')}
+  `)
+};
@@ -0,0 +1,44 @@
+const {
+  escapeHtml,
+  formatMoney,
+  clientUrl,
+  layout,
+  button,
+  itemsTable,
+  itemsText
+} = require('./layout');
+
+const totals = (order) => [
+  ['Items', order.itemsPrice],
+  ['Shipping', order.shippingPrice],
+  ['Tax', order.taxPrice],
+  ...(order.discountAmount > 0 ? [['Discount', -order.discountAmount]] : []),
+  ['Total', order.totalPrice]
+];
+
+module.exports = {
+  version: 1,
+  subject: ({ order }) => `Order ${order.orderNumber} confirmed`,
+  text: ({ firstName, order }) => [
+    `Hi ${firstName},`,
+    '',
+    `Thanks for your order! We have received your payment for order ${order.orderNumber}.`,
+    '',
+    itemsText(order.items),
+    '',
+    ...totals(order).map(([label, amount]) => `${label}: ${formatMoney(amount)}`),
+    order.estimatedDelivery ? `\nEstimated delivery: ${new Date(order.estimatedDelivery).toDateString()}` : '',
+    '',
+    `View your order: ${clientUrl(`/orders/${order.id}`)}`
+  ].join('\n'),
+  html: ({ firstName, order }) => layout(`Order ${order.orderNumber} confirmed`, `
+    <p>Hi ${escapeHtml(firstName)},</p>
+    <p>Thanks for your order! We have received your payment for order <strong>${escapeHtml(order.orderNumber)}</strong>.</p>
+    ${itemsTable(order.items)}
+    <table style="width: 100%; margin-top: 12px;">
+      ${totals(order).map(([label, amount]) => `<tr><td>${label}</td><td style="text-align: right;">${formatMoney(amount)}</td></tr>`).join('')}
+    </table>
+    ${order.estimatedDelivery ? `<p>Estimated delivery: ${escapeHtml(new Date(order.estimatedDelivery).toDateString())}</p>` : ''}
+    ${button(clientUrl(`/orders/${order.id}`), 'View your order')}
+  `)
+};
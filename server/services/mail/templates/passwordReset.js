@@ -0,0 +1,20 @@
+const { escapeHtml, layout, button } = require('./layout');
+
+module.exports = {
+  version: 1,
+  subject: () => 'Reset your SalesMart password',
+  text: ({ firstName, resetUrl, expiresInMinutes }) => [
+    `Hi ${firstName},`,
+    '',
+    `Someone asked to reset your password. Open this link within ${expiresInMinutes} minutes to choose a new one:`,
+    resetUrl,
+    '',
+    'If this was not you, you can ignore this email; your password stays the same.'
+  ].join('\n'),
+  html: ({ firstName, resetUrl, expiresInMinutes }) => layout('Reset your password', `
+    <p>Hi ${escapeHtml(firstName)},</p>
+    <p>Someone asked to reset your password. The link below is valid for ${escapeHtml(expiresInMinutes)} minutes.</p>
+    ${button(resetUrl, 'Reset password')}
+    <p>If this was not you, you can ignore this email; your password stays the same.</p>
+  `)
+};
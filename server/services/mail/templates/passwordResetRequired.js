@@ -0,0 +1,21 @@
+const { escapeHtml, layout, button } = require('./layout');
+
+module.exports = {
+  version: 1,
+  subject: () => 'Please choose a new SalesMart password',
+  text: ({ firstName, resetUrl, expiresInHours }) => [
+    `Hi ${firstName},`,
+    '',
+    'To keep your account safe, we have signed you out and you need to choose a new password before you can sign in again.',
+    `Open this link within ${expiresInHours} hours to choose one:`,
+    resetUrl,
+    '',
+    'If the link has expired, use "Forgot password" on the sign-in page to get a new one.'
+  ].join('\n'),
+  html: ({ firstName, resetUrl, expiresInHours }) => layout('Choose a new password', `
+    <p>Hi ${escapeHtml(firstName)},</p>
+    <p>To keep your account safe, we have signed you out and you need to choose a new password before you can sign in again. The link below is valid for ${escapeHtml(expiresInHours)} hours.</p>
+    ${button(resetUrl, 'Choose a new password')}
+    <p>If the link has expired, use "Forgot password" on the sign-in page to get a new one.</p>
+  `)
+};
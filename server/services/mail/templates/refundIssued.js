@@ -0,0 +1,22 @@
+const { escapeHtml, formatMoney, clientUrl, layout, button } = require('./layout');
+
+module.exports = {
+  version: 1,
+  subject: ({ order }) => `Refund issued for order ${order.orderNumber}`,
+  text: ({ firstName, order, amount, reason }) => [
+    `Hi ${firstName},`,
+    '',
+    `We have refunded ${formatMoney(amount)} for order ${order.orderNumber}.`,
+    reason ? `Reason: ${reason}` : '',
+    'It can take 5-10 business days to appear on your statement.',
+    '',
+    `View your order: ${clientUrl(`/orders/${order.id}`)}`
+  ].join('\n'),
+  html: ({ firstName, order, amount, reason }) => layout('Refund issued', `
+    <p>Hi ${escapeHtml(firstName)},</p>
+    <p>We have refunded <strong>${formatMoney(amount)}</strong> for order ${escapeHtml(order.orderNumber)}.</p>
+    ${reason ? `<p>Reason: ${escapeHtml(reason)}</p>` : ''}
+    <p>It can take 5-10 business days to appear on your statement.</p>
+    ${button(clientUrl(`/orders/${order.id}`), 'View your order')}
+  `)
+};
@@ -0,0 +1,29 @@
+const { escapeHtml, clientUrl, layout, button } = require('./layout');
+
+// `status` is the shipping status being announced: shipped or delivered
+const headline = ({ order, status }) => status === 'delivered'
+  ? `Order ${order.orderNumber} has been delivered`
+  : `Order ${order.orderNumber} is on its way`;
+
+const showEstimate = ({ order, status }) => status !== 'delivered' && order.estimatedDelivery;
+
+module.exports = {
+  version: 1,
+  subject: (data) => headline(data),
+  text: (data) => [
+    `Hi ${data.firstName},`,
+    '',
+    `${headline(data)}.`,
+    data.order.trackingNumber ? `Tracking number: ${data.order.trackingNumber}` : '',
+    showEstimate(data) ? `Estimated delivery: ${new Date(data.order.estimatedDelivery).toDateString()}` : '',
+    '',
+    `View your order: ${clientUrl(`/orders/${data.order.id}`)}`
+  ].join('\n'),
+  html: (data) => layout(headline(data), `
+    <p>Hi ${escapeHtml(data.firstName)},</p>
+    <p>${escapeHtml(headline(data))}.</p>
+    ${data.order.trackingNumber ? `<p>Tracking number: <strong>${escapeHtml(data.order.trackingNumber)}</strong></p>` : ''}
+    ${showEstimate(data) ? `<p>Estimated delivery: ${escapeHtml(new Date(data.order.estimatedDelivery).toDateString())}</p>` : ''}
+    ${button(clientUrl(`/orders/${data.order.id}`), 'View your order')}
+  `)
+};
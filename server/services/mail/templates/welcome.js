@@ -0,0 +1,17 @@
+const { escapeHtml, clientUrl, layout, button } = require('./layout');
+
+module.exports = {
+  version: 1,
+  subject: () => 'Welcome to SalesMart!',
+  text: ({ firstName }) => [
+    `Hi ${firstName},`,
+    '',
+    'Thanks for creating a SalesMart account. Start shopping at:',
+    clientUrl('/products')
+  ].join('\n'),
+  html: ({ firstName }) => layout('Welcome to SalesMart', `
+    <p>Hi ${escapeHtml(firstName)},</p>
+    <p>Thanks for creating a SalesMart account.</p>
+    ${button(clientUrl('/products'), 'Start shopping')}
+  `)
+};
@@ -0,0 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Mail transports, picked with MAIL_TRANSPORT:
+//   smtp - the SMTP server configured by EMAIL_HOST/EMAIL_PORT/EMAIL_USER/EMAIL_PASS
+//   file - every message is written as a JSON file to MAIL_OUTPUT_DIR
+//   json - messages are only rendered, nothing is written or sent
+// Development and tests use file or json so no real email goes out.
+const createSmtpTransport = () => nodemailer.createTransport({
+  host: process.env.EMAIL_HOST,
+  port: parseInt(process.env.EMAIL_PORT) || 587,
+  auth: {
+    user: process.env.EMAIL_USER,
+    pass: process.env.EMAIL_PASS
+  }
+});
+
+const createFileTransport = () => {
+  const jsonTransport = nodemailer.createTransport({ jsonTransport: true });
+  const outputDir = path.resolve(process.env.MAIL_OUTPUT_DIR || path.join(__dirname, '../../tmp/mail'));
+
+  return {
+    sendMail: async (message) => {
+      const info = await jsonTransport.sendMail(message);
+
+      await fs.promises.mkdir(outputDir, { recursive: true });
+      const fileName = `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.json`;
+      await fs.promises.writeFile(path.join(outputDir, fileName), info.message);
+
+      return info;
+    }
+  };
+};
+
+const createJsonTransport = () => nodemailer.createTransport({ jsonTransport: true });
+
+const factories = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  json: createJsonTransport
+};
+
+let transport;
+let transportName;
+
+const getTransportName = () => process.env.MAIL_TRANSPORT || 'smtp';
+
+const getTransport = () => {
+  const name = getTransportName();
+
+  if (!factories[name]) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  if (!transport || transportName !== name) {
+    transport = factories[name]();
+    transportName = name;
+  }
+
+  return transport;
+};
+
+module.exports = {
+  getTransport,
+  getTransportName
+};
@@ -0,0 +1,364 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const ErrorResponse = require('../utils/errorResponse');
+const { getProviderConfig } = require('../config/oauthProviders');
+const { revokeAllSessions } = require('./sessions');
+
+const STATE_PURPOSE = 'oauth-state';
+
+// Algorithms accepted for ID token signatures; never `none` or HMAC
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// Discovery documents and signing keys by issuer
+const discoveryCache = new Map();
+const keyCache = new Map();
+
+const getRedirectUri = () => process.env.OAUTH_REDIRECT_URI || `${process.env.CLIENT_URL}/oauth/callback`;
+
+const getProvider = (id) => {
+  const providers = getProviderConfig();
+  const provider = Object.prototype.hasOwnProperty.call(providers, id) ? providers[id] : null;
+
+  if (!provider || !provider.clientId || (provider.type === 'oidc' && !provider.issuer)) {
+    throw new ErrorResponse('Unknown sign-in provider', 404);
+  }
+
+  return { id, ...provider };
+};
+
+// Providers that are set up, for the sign-in page
+const listProviders = () => {
+  return Object.entries(getProviderConfig())
+    .filter(([, provider]) => provider.clientId && (provider.type !== 'oidc' || provider.issuer))
+    .map(([id, provider]) => ({ id, name: provider.name }));
+};
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+// The PKCE verifier and the nonce for a sign-in are derived from its state,
+// so nothing has to be stored between starting and finishing it and
+// neither appears in the browser's URL
+const deriveSecret = (label, stateId) => {
+  return base64url(crypto.createHmac('sha256', process.env.JWT_SECRET).update(`${label}:${stateId}`).digest());
+};
+
+// Uses the fetch built into Node 18 and later
+const fetchJson = async (url, options = {}) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      ...options,
+      headers: { Accept: 'application/json', ...options.headers }
+    });
+  } catch (error) {
+    throw new ErrorResponse('Could not reach the sign-in provider', 502);
+  }
+
+  const body = await response.json().catch(() => null);
+
+  // OAuth errors such as a used or expired code come back as `error` for
+  // the caller to handle
+  if (!body || (!response.ok && !body.error)) {
+    throw new ErrorResponse('The sign-in provider rejected the request', 502);
+  }
+
+  return body;
+};
+
+const getDiscovery = async (provider) => {
+  const issuer = provider.issuer.replace(/\/$/, '');
+
+  if (!discoveryCache.has(issuer)) {
+    const discovery = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+
+    if (!discovery.issuer || discovery.issuer.replace(/\/$/, '') !== issuer) {
+      throw new ErrorResponse('The sign-in provider is misconfigured', 502);
+    }
+    discoveryCache.set(issuer, discovery);
+  }
+
+  return discoveryCache.get(issuer);
+};
+
+// The issuer's public key for `kid`, fetching the key set again when the
+// key is new (issuers rotate their keys)
+const getSigningKey = async (discovery, kid) => {
+  let keys = keyCache.get(discovery.jwks_uri);
+
+  if (!keys || !keys.some(key => key.kid === kid)) {
+    keys = (await fetchJson(discovery.jwks_uri)).keys || [];
+    keyCache.set(discovery.jwks_uri, keys);
+  }
+
+  const jwk = keys.find(key => key.kid === kid) || (kid ? null : keys[0]);
+
+  if (!jwk) {
+    throw new ErrorResponse('Sign-in failed: unknown signing key', 401);
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+// Where to send the browser to sign in with a provider. Pass `userId` to
+// link the provider to that signed-in user instead of signing in.
+const getAuthorizationUrl = async (providerId, { userId } = {}) => {
+  const provider = getProvider(providerId);
+  const stateId = crypto.randomBytes(16).toString('hex');
+
+  const state = jwt.sign(
+    { purpose: STATE_PURPOSE, provider: provider.id, link: userId ? String(userId) : undefined },
+    process.env.JWT_SECRET,
+    { expiresIn: '10m', jwtid: stateId }
+  );
+
+  const codeChallenge = base64url(crypto.createHash('sha256').update(deriveSecret('pkce', stateId)).digest());
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: getRedirectUri(),
+    scope: provider.scope,
+    state,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+
+  let authorizationEndpoint = provider.authorizationEndpoint;
+  if (provider.type === 'oidc') {
+    authorizationEndpoint = (await getDiscovery(provider)).authorization_endpoint;
+    params.set('nonce', deriveSecret('nonce', stateId));
+  }
+
+  return {
+    url: `${authorizationEndpoint}?${params}`,
+    state
+  };
+};
+
+const verifyState = (state, providerId) => {
+  try {
+    const decoded = jwt.verify(state, process.env.JWT_SECRET);
+
+    if (decoded.purpose !== STATE_PURPOSE || decoded.provider !== providerId) {
+      throw new Error('Wrong state');
+    }
+    return decoded;
+  } catch (error) {
+    throw new ErrorResponse('Sign-in link is invalid or has expired. Please try again', 400);
+  }
+};
+
+const exchangeCode = async (provider, tokenEndpoint, code, stateId) => {
+  const tokens = await fetchJson(tokenEndpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: getRedirectUri(),
+      client_id: provider.clientId,
+      client_secret: provider.clientSecret || '',
+      code_verifier: deriveSecret('pkce', stateId)
+    })
+  });
+
+  // GitHub reports errors with a 200, others with a 400
+  if (tokens.error) {
+    throw new ErrorResponse('Sign-in failed: the provider did not accept the code', 401);
+  }
+
+  return tokens;
+};
+
+const splitName = (name) => {
+  const [firstName, ...rest] = String(name || '').trim().split(/\s+/);
+  return { firstName, lastName: rest.join(' ') };
+};
+
+const getOidcProfile = async (provider, code, stateId) => {
+  const discovery = await getDiscovery(provider);
+  const tokens = await exchangeCode(provider, discovery.token_endpoint, code, stateId);
+
+  const decoded = jwt.decode(tokens.id_token || '', { complete: true });
+  if (!decoded) {
+    throw new ErrorResponse('Sign-in failed: no ID token', 401);
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(tokens.id_token, await getSigningKey(discovery, decoded.header.kid), {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      audience: provider.clientId,
+      issuer: discovery.issuer
+    });
+  } catch (error) {
+    throw new ErrorResponse('Sign-in failed: the ID token is invalid', 401);
+  }
+
+  if (claims.nonce !== deriveSecret('nonce', stateId)) {
+    throw new ErrorResponse('Sign-in failed: the ID token is invalid', 401);
+  }
+
+  const name = splitName(claims.name);
+
+  return {
+    subject: String(claims.sub),
+    email: claims.email,
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    firstName: claims.given_name || name.firstName,
+    lastName: claims.family_name || name.lastName
+  };
+};
+
+const getGithubProfile = async (provider, code, stateId) => {
+  const tokens = await exchangeCode(provider, provider.tokenEndpoint, code, stateId);
+  const headers = { Authorization: `Bearer ${tokens.access_token}` };
+
+  const [account, emails] = await Promise.all([
+    fetchJson(provider.userEndpoint, { headers }),
+    fetchJson(provider.emailsEndpoint, { headers })
+  ]);
+
+  const primary = emails.find(entry => entry.primary) || {};
+  const name = splitName(account.name || account.login);
+
+  return {
+    subject: String(account.id),
+    email: primary.email,
+    emailVerified: primary.verified === true,
+    firstName: name.firstName,
+    lastName: name.lastName
+  };
+};
+
+// Finish a sign-in started with getAuthorizationUrl. Returns who the
+// provider says the user is, and the user id to link to if the sign-in was
+// started to link an identity.
+const completeAuthorization = async (providerId, { code, state }) => {
+  const provider = getProvider(providerId);
+  const decoded = verifyState(state, provider.id);
+
+  const profile = provider.type === 'oidc'
+    ? await getOidcProfile(provider, code, decoded.jti)
+    : await getGithubProfile(provider, code, decoded.jti);
+
+  return {
+    profile: {
+      provider: provider.id,
+      providerName: provider.name,
+      ...profile,
+      email: profile.email ? String(profile.email).toLowerCase() : undefined
+    },
+    link: decoded.link
+  };
+};
+
+const toIdentity = (profile) => ({
+  provider: profile.provider,
+  subject: profile.subject,
+  email: profile.email,
+  linkedAt: new Date()
+});
+
+// The user to sign in for a provider profile: the one the identity is
+// linked to, else the account with the same email if the provider has
+// verified it (linking the identity), else a new passwordless account.
+const findOrCreateUser = async (profile) => {
+  const linked = await User.findOne({
+    identities: { $elemMatch: { provider: profile.provider, subject: profile.subject } }
+  });
+
+  if (linked) {
+    return { user: linked, created: false };
+  }
+
+  if (!profile.email || !profile.emailVerified) {
+    throw new ErrorResponse(`Your ${profile.providerName} account has no verified email address`, 400);
+  }
+
+  const existing = await User.findOne({ email: profile.email }).select('+password');
+
+  if (existing) {
+    // A deactivated account is left as it is rather than linked
+    if (!existing.isActive) {
+      throw new ErrorResponse('User account is deactivated', 401);
+    }
+
+    const wasUnverified = !existing.isEmailVerified;
+
+    // Whoever registered an unverified account may not own the address;
+    // the provider has just proved this user does. Drop the unproven
+    // password and sign out its sessions so it cannot be used to get in.
+    if (wasUnverified) {
+      existing.password = undefined;
+      existing.isEmailVerified = true;
+      existing.emailVerificationToken = undefined;
+      existing.emailVerificationExpire = undefined;
+    }
+
+    existing.identities.push(toIdentity(profile));
+    await existing.save();
+
+    if (wasUnverified) {
+      await revokeAllSessions(existing._id, 'revoked');
+    }
+
+    return { user: existing, created: false, linked: true };
+  }
+
+  const user = await User.create({
+    firstName: profile.firstName || profile.email.split('@')[0],
+    lastName: profile.lastName || '-',
+    email: profile.email,
+    isEmailVerified: true,
+    identities: [toIdentity(profile)]
+  });
+
+  return { user, created: true };
+};
+
+// Link a provider identity to a signed-in user
+const linkIdentity = async (user, profile) => {
+  if (user.identities.some(identity => identity.provider === profile.provider)) {
+    throw new ErrorResponse(`A ${profile.providerName} account is already linked`, 400);
+  }
+
+  const owner = await User.exists({
+    identities: { $elemMatch: { provider: profile.provider, subject: profile.subject } }
+  });
+
+  if (owner) {
+    throw new ErrorResponse(`This ${profile.providerName} account is linked to another user`, 409);
+  }
+
+  user.identities.push(toIdentity(profile));
+  await user.save();
+
+  return user.identities[user.identities.length - 1];
+};
+
+// Unlink an identity, as long as the user can still sign in afterwards
+const unlinkIdentity = async (user, identityId) => {
+  const identity = user.identities.id(identityId);
+
+  if (!identity) {
+    throw new ErrorResponse('Linked account not found', 404);
+  }
+
+  if (!user.password && user.identities.length === 1) {
+    throw new ErrorResponse('Set a password before unlinking your only sign-in method', 400);
+  }
+
+  identity.deleteOne();
+  await user.save();
+};
+
+module.exports = {
+  listProviders,
+  getAuthorizationUrl,
+  completeAuthorization,
+  findOrCreateUser,
+  linkIdentity,
+  unlinkIdentity
+};
@@ -0,0 +1,242 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const ErrorResponse = require('../utils/errorResponse');
+const { restoreStock, commitHold, closeHold } = require('./inventory');
+const { refundOrder, getRefundedAmount } = require('./refunds');
+const { releaseCoupons } = require('./coupons');
+const { queueOrderMail } = require('./mail');
+const { hasPermission } = require('./permissions');
+
+// Allowed status transitions and who may perform them. `admin` covers staff
+// with the right permission (see getActorRole), and `system` payment
+// callbacks and background jobs acting without a user.
+const TRANSITIONS = {
+  pending: {
+    confirmed: ['admin', 'system'],
+    cancelled: ['user', 'admin', 'system']
+  },
+  confirmed: {
+    processing: ['admin'],
+    cancelled: ['user', 'admin'],
+    partially_refunded: ['admin', 'system'],
+    refunded: ['admin', 'system']
+  },
+  processing: {
+    shipped: ['admin'],
+    cancelled: ['user', 'admin'],
+    partially_refunded: ['admin', 'system'],
+    refunded: ['admin', 'system']
+  },
+  shipped: {
+    delivered: ['admin', 'system'],
+    partially_refunded: ['admin', 'system'],
+    refunded: ['admin', 'system']
+  },
+  delivered: {
+    partially_refunded: ['admin', 'system'],
+    refunded: ['admin', 'system']
+  },
+  // Fulfilment carries on after a partial refund
+  partially_refunded: {
+    processing: ['admin'],
+    shipped: ['admin'],
+    delivered: ['admin', 'system'],
+    cancelled: ['admin'],
+    refunded: ['admin', 'system']
+  },
+  cancelled: {},
+  refunded: {}
+};
+
+// Statuses that refund money, which staff need orders:refund rather than
+// orders:update to move orders to
+const REFUND_STATUSES = ['partially_refunded', 'refunded'];
+
+// Orders still on their way to the customer: those that can move on to a
+// status other than a refund or cancellation
+const OPEN_STATUSES = Object.keys(TRANSITIONS).filter(status =>
+  Object.keys(TRANSITIONS[status]).some(to => !REFUND_STATUSES.includes(to) && to !== 'cancelled')
+);
+
+// The role `actor` plays in the transition table when moving an order to `to`
+const getActorRole = async (actor, to) => {
+  if (!actor) {
+    return 'system';
+  }
+
+  const permission = REFUND_STATUSES.includes(to) ? 'orders:refund' : 'orders:update';
+  return (await hasPermission(actor, permission)) ? 'admin' : 'user';
+};
+
+// Statuses `actor` (null for the system) may move an order on from `from` to
+const getAllowedTransitions = async (from, actor) => {
+  const allowed = [];
+
+  for (const [to, roles] of Object.entries(TRANSITIONS[from] || {})) {
+    if (roles.includes(await getActorRole(actor, to))) {
+      allowed.push(to);
+    }
+  }
+
+  return allowed;
+};
+
+// Side effects that run as part of entering a status
+const onEnter = {
+  confirmed: async (order, { session }) => {
+    await commitHold(order._id, session);
+    await queueOrderMail('orderConfirmation', order, {}, { session });
+  },
+  shipped: async (order, { session }) => {
+    await queueOrderMail('shippingUpdate', order, { status: 'shipped' }, { session });
+  },
+  cancelled: async (order, { session, note }) => {
+    await restoreStock(order.orderItems, session);
+    await closeHold(order._id, 'released', note, session);
+    await releaseCoupons(order, session);
+  },
+  delivered: async (order, { session }) => {
+    order.isDelivered = true;
+    order.deliveredAt = Date.now();
+    await queueOrderMail('shippingUpdate', order, { status: 'delivered' }, { session });
+  }
+};
+
+// Statuses that give the customer's money back. The Stripe refund is only
+// issued once the status change has committed, so a rolled back transaction
+// cannot leave a refund without an order to show for it.
+const refundsOnEnter = (order, to) => {
+  return ['cancelled', 'refunded'].includes(to) && order.isPaid && Boolean(order.stripePaymentIntentId);
+};
+
+// Refund what is left on an order after it was cancelled or refunded. The
+// idempotency key makes a retry return the same Stripe refund, and
+// refundOrder only adds it to the ledger if the refund webhook has not
+// already done so. A failed refund is noted on the order for staff to retry
+// through POST /api/payments/refund.
+const refundAfterCommit = async (order, to, { note, actor }) => {
+  try {
+    await refundOrder(order, {
+      reason: note,
+      actor,
+      idempotencyKey: `order-${order._id}-${to}`
+    });
+  } catch (error) {
+    console.error(`Refund for ${to} order ${order.orderNumber} failed:`, error.message);
+
+    const historyEntry = {
+      status: to,
+      timestamp: new Date(),
+      note: `Refund failed: ${error.message}`,
+      updatedBy: actor ? actor._id : undefined
+    };
+    order.statusHistory.push(historyEntry);
+    await Order.updateOne({ _id: order._id }, { $push: { statusHistory: historyEntry } });
+  }
+};
+
+const applyTransition = async (order, to, { actor, note, session }) => {
+  const from = order.status;
+  const role = await getActorRole(actor, to);
+
+  if (!TRANSITIONS[to]) {
+    throw new ErrorResponse(`Invalid order status: ${to}`, 400);
+  }
+
+  if (from === to) {
+    throw new ErrorResponse(`Order is already ${to}`, 400);
+  }
+
+  const allowedRoles = TRANSITIONS[from][to];
+  if (!allowedRoles) {
+    throw new ErrorResponse(`Cannot change order status from ${from} to ${to}`, 400, {
+      allowedTransitions: await getAllowedTransitions(from, actor)
+    });
+  }
+
+  if (!allowedRoles.includes(role)) {
+    throw new ErrorResponse(`Not authorized to change order status from ${from} to ${to}`, 403);
+  }
+
+  const statusNote = note || `Order status updated from ${from} to ${to}`;
+
+  if (onEnter[to]) {
+    await onEnter[to](order, { session, note: statusNote, actor });
+  }
+
+  order.status = to;
+  order.statusHistory.push({
+    status: to,
+    timestamp: new Date(),
+    note: statusNote,
+    updatedBy: actor ? actor._id : undefined
+  });
+
+  return order.save({ session });
+};
+
+// Move an order to a new status, enforcing the transition table, running
+// the status's side effects and recording the change in statusHistory.
+// `actor` is the user making the change, or null for the system. Without a
+// caller supplied session the change runs in its own transaction, and any
+// refund it calls for is issued after the transaction commits.
+const transitionOrder = async (order, to, { actor = null, note, session } = {}) => {
+  const refund = refundsOnEnter(order, to);
+
+  if (session) {
+    // The caller commits, so there is no point after which to refund
+    if (refund) {
+      throw new Error(`Cannot refund order ${order.orderNumber} inside a caller's transaction`);
+    }
+    return applyTransition(order, to, { actor, note, session });
+  }
+
+  const ownSession = await mongoose.startSession();
+  let updatedOrder;
+
+  try {
+    ownSession.startTransaction();
+    updatedOrder = await applyTransition(order, to, { actor, note, session: ownSession });
+    await ownSession.commitTransaction();
+  } catch (error) {
+    await ownSession.abortTransaction();
+    throw error;
+  } finally {
+    await ownSession.endSession();
+  }
+
+  if (refund) {
+    const lastEntry = updatedOrder.statusHistory[updatedOrder.statusHistory.length - 1];
+    await refundAfterCommit(updatedOrder, to, { note: lastEntry.note, actor });
+  }
+
+  return updatedOrder;
+};
+
+// Move an order to `partially_refunded` or `refunded` to match its refund
+// ledger, or just save it when its status already fits or cannot change
+// (for example a cancelled order refunded on cancellation)
+const settleRefundStatus = async (order, { actor = null, note, session } = {}) => {
+  const refunded = getRefundedAmount(order);
+
+  let target = null;
+  if (refunded >= order.totalPrice) {
+    target = 'refunded';
+  } else if (refunded > 0) {
+    target = 'partially_refunded';
+  }
+
+  if (target && target !== order.status && TRANSITIONS[order.status][target]) {
+    return transitionOrder(order, target, { actor, note, session });
+  }
+
+  return order.save({ session });
+};
+
+module.exports = {
+  TRANSITIONS,
+  OPEN_STATUSES,
+  getAllowedTransitions,
+  transitionOrder,
+  settleRefundStatus
+};
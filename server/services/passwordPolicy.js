@@ -0,0 +1,160 @@
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const ErrorResponse = require('../utils/errorResponse');
+
+const COMMON_PASSWORDS_FILE = path.join(__dirname, '../config/commonPasswords.txt');
+
+// Fields a password change needs on top of a normal user query
+const PASSWORD_FIELDS = '+password +passwordHistory';
+
+const CHARACTER_CLASSES = {
+  lowercase: { pattern: /[a-z]/, description: 'a lowercase letter' },
+  uppercase: { pattern: /[A-Z]/, description: 'an uppercase letter' },
+  digit: { pattern: /[0-9]/, description: 'a digit' },
+  symbol: { pattern: /[^A-Za-z0-9]/, description: 'a symbol' }
+};
+
+const getPolicy = () => {
+  const classes = process.env.PASSWORD_REQUIRED_CLASSES === undefined
+    ? 'lowercase,uppercase,digit'
+    : process.env.PASSWORD_REQUIRED_CLASSES;
+  const history = parseInt(process.env.PASSWORD_HISTORY);
+
+  return {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 10,
+    requiredClasses: classes
+      .split(',')
+      .map(name => name.trim().toLowerCase())
+      .filter(name => Object.prototype.hasOwnProperty.call(CHARACTER_CLASSES, name)),
+    // How many recent passwords, counting the current one, cannot be reused
+    historySize: Number.isNaN(history) ? 5 : history,
+    rejectCommon: process.env.PASSWORD_REJECT_COMMON !== 'false'
+  };
+};
+
+let commonPasswords;
+const getCommonPasswords = () => {
+  if (!commonPasswords) {
+    commonPasswords = new Set(
+      fs.readFileSync(COMMON_PASSWORDS_FILE, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  }
+  return commonPasswords;
+};
+
+// Common passwords are also caught with digits and symbols tacked on the
+// end, e.g. Password123!
+const isCommonPassword = (password) => {
+  const lower = password.toLowerCase();
+  const stem = lower.replace(/[^a-z]+$/, '');
+  const list = getCommonPasswords();
+
+  return list.has(lower) || (stem.length >= 4 && list.has(stem));
+};
+
+// The rules a new password breaks, as `{ code, message }`. Pass the user
+// (loaded with PASSWORD_FIELDS) to also check their recent passwords.
+const checkPassword = async (password, user) => {
+  const policy = getPolicy();
+  const violations = [];
+
+  if (typeof password !== 'string' || password.length < policy.minLength) {
+    violations.push({
+      code: 'too_short',
+      message: `Password must be at least ${policy.minLength} characters`
+    });
+  }
+
+  if (typeof password !== 'string') {
+    return violations;
+  }
+
+  for (const name of policy.requiredClasses) {
+    if (!CHARACTER_CLASSES[name].pattern.test(password)) {
+      violations.push({
+        code: `missing_${name}`,
+        message: `Password must contain ${CHARACTER_CLASSES[name].description}`
+      });
+    }
+  }
+
+  if (policy.rejectCommon && isCommonPassword(password)) {
+    violations.push({
+      code: 'common',
+      message: 'Password is too common and easy to guess'
+    });
+  }
+
+  if (user && policy.historySize > 0) {
+    const recent = [user.password, ...(user.passwordHistory || [])]
+      .filter(Boolean)
+      .slice(0, policy.historySize);
+
+    for (const hash of recent) {
+      if (await bcrypt.compare(password, hash)) {
+        violations.push({
+          code: 'reused',
+          message: `Password must not be one of your last ${policy.historySize} passwords`
+        });
+        break;
+      }
+    }
+  }
+
+  return violations;
+};
+
+// Throw a 400 listing every rule the password breaks
+const assertPasswordAllowed = async (password, user) => {
+  const violations = await checkPassword(password, user);
+
+  if (violations.length > 0) {
+    throw new ErrorResponse('Password does not meet the password policy', 400, {
+      code: 'PASSWORD_POLICY',
+      errors: violations
+    });
+  }
+};
+
+// Check and set a user's new password, remembering the old one's hash. The
+// user must be loaded with PASSWORD_FIELDS; the caller saves it.
+const setPassword = async (user, password) => {
+  await assertPasswordAllowed(password, user);
+
+  const { historySize } = getPolicy();
+  if (user.password) {
+    user.passwordHistory = [user.password, ...(user.passwordHistory || [])]
+      .slice(0, Math.max(historySize - 1, 0));
+  }
+
+  user.password = password;
+  user.passwordChangedAt = new Date();
+  user.passwordResetRequired = false;
+};
+
+// The policy as shown to users choosing a password
+const describePolicy = () => {
+  const policy = getPolicy();
+
+  return {
+    ...policy,
+    requirements: [
+      `At least ${policy.minLength} characters`,
+      ...policy.requiredClasses.map(name => `Contains ${CHARACTER_CLASSES[name].description}`),
+      ...(policy.rejectCommon ? ['Not a common password'] : []),
+      ...(policy.historySize > 0 ? [`Not one of your last ${policy.historySize} passwords`] : [])
+    ]
+  };
+};
+
+module.exports = {
+  PASSWORD_FIELDS,
+  checkPassword,
+  assertPasswordAllowed,
+  setPassword,
+  describePolicy
+};
@@ -0,0 +1,63 @@
+const Role = require('../models/Role');
+const { builtInRoles } = require('../config/permissions');
+
+// Permissions already looked up for a loaded user, so several checks in one
+// request only read the role once
+const cache = new WeakMap();
+
+const isBuiltInRole = (name) => Object.prototype.hasOwnProperty.call(builtInRoles, name);
+
+// The permissions a role grants. Roles that no longer exist grant none.
+const getRolePermissions = async (name) => {
+  if (isBuiltInRole(name)) {
+    return builtInRoles[name];
+  }
+
+  const role = await Role.findOne({ name }).select('permissions');
+  return role ? role.permissions : [];
+};
+
+// The permissions a user has through their role
+const getPermissions = async (user) => {
+  if (!user) {
+    return [];
+  }
+
+  if (!cache.has(user)) {
+    cache.set(user, await getRolePermissions(user.role));
+  }
+  return cache.get(user);
+};
+
+const hasPermission = async (user, permission) => {
+  return (await getPermissions(user)).includes(permission);
+};
+
+// Whether `user` holds every one of `permissions`
+const hasAllPermissions = async (user, permissions) => {
+  const own = await getPermissions(user);
+  return permissions.every(permission => own.includes(permission));
+};
+
+// Whether `actor` may give a role to someone. Only admins can make admins;
+// any other role must not grant more than the actor has.
+const canAssignRole = async (actor, name) => {
+  if (name === 'admin') {
+    return actor.role === 'admin';
+  }
+  return hasAllPermissions(actor, await getRolePermissions(name));
+};
+
+// Whether a role name can be assigned to users
+const roleExists = async (name) => {
+  return isBuiltInRole(name) || Boolean(await Role.exists({ name }));
+};
+
+module.exports = {
+  isBuiltInRole,
+  getPermissions,
+  hasPermission,
+  hasAllPermissions,
+  canAssignRole,
+  roleExists
+};
@@ -0,0 +1,229 @@
+const Product = require('../models/Product');
+const ErrorResponse = require('../utils/errorResponse');
+const { roundPrice } = require('../utils/money');
+const { evaluateCoupons } = require('./coupons');
+const { calculateTax } = require('./tax');
+const { quoteShipping } = require('./shipping');
+
+// Resolve the unit price for an order line. A line may select variant
+// options ([{ name: 'Size', value: 'M' }]); the first selected option that
+// carries its own price overrides the product price.
+const resolveUnitPrice = (product, selectedVariants = []) => {
+  for (const selection of selectedVariants) {
+    const variant = product.variants.find(v => v.name === selection.name);
+    const option = variant && variant.options.find(o => o.value === selection.value);
+
+    if (!option) {
+      throw new ErrorResponse(
+        `Invalid option ${selection.name}: ${selection.value} for ${product.name}`,
+        400
+      );
+    }
+
+    if (typeof option.price === 'number') {
+      return option.price;
+    }
+  }
+
+  return product.price;
+};
+
+// Resolve the variant combination an order line buys. Products sold as
+// combinations require one, chosen by `variant` id or by its full set of
+// options; other products only allow the legacy per-option price override.
+const resolveCombination = (product, item) => {
+  if (product.combinations.length === 0) {
+    if (item.variant) {
+      throw new ErrorResponse(`${product.name} has no variants`, 400);
+    }
+    return null;
+  }
+
+  const combination = product.findCombination(item.variant, item.variants || []);
+
+  if (!combination) {
+    throw new ErrorResponse(
+      item.variant || (item.variants && item.variants.length > 0)
+        ? `Invalid variant for ${product.name}`
+        : `Please choose a variant of ${product.name}`,
+      400
+    );
+  }
+
+  if (!combination.isActive) {
+    throw new ErrorResponse(`${product.name} (${combination.sku}) is no longer available`, 400);
+  }
+
+  return combination;
+};
+
+// Look up the catalog product for each requested item and price the line
+const buildLines = async (orderItems) => {
+  const lines = [];
+
+  for (const item of orderItems) {
+    const product = await Product.findById(item.product);
+
+    if (!product) {
+      throw new ErrorResponse(`Product not found: ${item.name || item.product}`, 404);
+    }
+
+    if (product.status !== 'active') {
+      throw new ErrorResponse(`${product.name} is no longer available`, 400);
+    }
+
+    const quantity = parseInt(item.quantity);
+    if (!quantity || quantity < 1) {
+      throw new ErrorResponse(`Invalid quantity for ${product.name}`, 400);
+    }
+
+    const combination = resolveCombination(product, item);
+
+    if (combination) {
+      lines.push({
+        productDoc: product,
+        product: product._id,
+        variant: combination._id,
+        name: product.name,
+        image: combination.image?.url || product.images[0]?.url,
+        price: roundPrice(typeof combination.price === 'number' ? combination.price : product.price),
+        quantity,
+        sku: combination.sku,
+        variants: combination.options.map(({ name, value }) => ({ name, value }))
+      });
+      continue;
+    }
+
+    const selectedVariants = item.variants || [];
+
+    lines.push({
+      productDoc: product,
+      product: product._id,
+      name: product.name,
+      image: product.images[0]?.url,
+      price: roundPrice(resolveUnitPrice(product, selectedVariants)),
+      quantity,
+      sku: product.sku,
+      variants: selectedVariants
+    });
+  }
+
+  return lines;
+};
+
+// Price an order entirely from the catalog. Client supplied prices are only
+// used to detect that the cart the shopper saw is out of date. Shipping uses
+// the chosen method for the address; coupons are validated for `user` and
+// applied after shipping is known; tax is charged on the discounted lines
+// for the shipping address, if one is given.
+const priceOrder = async (orderItems, {
+  couponCodes = [],
+  user,
+  shippingAddress,
+  shippingMethod
+} = {}) => {
+  const lines = await buildLines(orderItems);
+
+  const itemsPrice = roundPrice(
+    lines.reduce((total, line) => total + line.price * line.quantity, 0)
+  );
+
+  const shipping = await quoteShipping(lines, shippingAddress, shippingMethod);
+  let shippingPrice = shipping.cost;
+
+  const promotions = await evaluateCoupons(couponCodes, {
+    user,
+    lines,
+    itemsPrice,
+    shippingPrice
+  });
+
+  if (promotions.freeShipping) {
+    shippingPrice = 0;
+  }
+
+  const discountAmount = promotions.discountAmount;
+
+  const tax = await calculateTax({
+    lines,
+    address: shippingAddress,
+    discountAmount,
+    user
+  });
+
+  lines.forEach((line, index) => {
+    line.taxAmount = tax.lineTaxes[index];
+  });
+
+  const taxPrice = tax.taxPrice;
+  const totalPrice = roundPrice(itemsPrice + shippingPrice + taxPrice - discountAmount);
+
+  return {
+    lines,
+    shipping,
+    coupons: promotions.coupons,
+    tax,
+    itemsPrice,
+    shippingPrice,
+    taxPrice,
+    discountAmount,
+    totalPrice
+  };
+};
+
+// The totals of a priced order, without the catalog documents
+const summarizePricing = (pricing) => ({
+  itemsPrice: pricing.itemsPrice,
+  shippingPrice: pricing.shippingPrice,
+  taxPrice: pricing.taxPrice,
+  discountAmount: pricing.discountAmount,
+  totalPrice: pricing.totalPrice,
+  shippingMethod: pricing.shipping,
+  coupons: pricing.coupons,
+  taxBreakdown: pricing.tax.breakdown
+});
+
+// Compare what the client saw with the freshly computed pricing. Only fields
+// the client actually sent are compared.
+const diffPricing = (clientOrder, pricing) => {
+  const items = [];
+
+  clientOrder.orderItems.forEach((item, index) => {
+    const line = pricing.lines[index];
+    if (item.price !== undefined && roundPrice(Number(item.price)) !== line.price) {
+      items.push({
+        product: line.product,
+        variant: line.variant,
+        name: line.name,
+        previousPrice: roundPrice(Number(item.price)),
+        currentPrice: line.price
+      });
+    }
+  });
+
+  const totals = {};
+  ['itemsPrice', 'shippingPrice', 'taxPrice', 'discountAmount', 'totalPrice'].forEach(field => {
+    const clientValue = clientOrder[field];
+    if (clientValue !== undefined && roundPrice(Number(clientValue)) !== pricing[field]) {
+      totals[field] = {
+        previous: roundPrice(Number(clientValue)),
+        current: pricing[field]
+      };
+    }
+  });
+
+  if (items.length === 0 && Object.keys(totals).length === 0) {
+    return null;
+  }
+
+  return { items, totals };
+};
+
+module.exports = {
+  resolveUnitPrice,
+  resolveCombination,
+  buildLines,
+  priceOrder,
+  summarizePricing,
+  diffPricing
+};
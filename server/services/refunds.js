@@ -0,0 +1,253 @@
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const Order = require('../models/Order');
+const ErrorResponse = require('../utils/errorResponse');
+const { roundPrice } = require('../utils/money');
+const { queueOrderMail } = require('./mail');
+
+// Stripe refund statuses mapped onto ledger statuses
+const STRIPE_REFUND_STATUS = {
+  pending: 'pending',
+  requires_action: 'pending',
+  succeeded: 'succeeded',
+  failed: 'failed',
+  canceled: 'canceled'
+};
+
+// Ledger entries that count against the captured amount. Pending refunds
+// count too so that two refunds in flight cannot exceed the total.
+const isOutstanding = (entry) => ['pending', 'succeeded'].includes(entry.status);
+
+// Amount already given (or being given) back to the customer
+const getRefundedAmount = (order) => {
+  return roundPrice(
+    order.refunds.filter(isOutstanding).reduce((total, entry) => total + entry.amount, 0)
+  );
+};
+
+// Units of an order line already covered by refunds
+const getRefundedQuantity = (order, orderItemId) => {
+  return order.refunds.filter(isOutstanding).reduce((total, entry) => {
+    const line = entry.items.find(item => item.orderItem.toString() === orderItemId.toString());
+    return total + (line ? line.quantity : 0);
+  }, 0);
+};
+
+// What the customer paid for `quantity` units of an order line. Order lines
+// keep their price before discounts, so the line's share of the order
+// discount is taken off (spread in proportion to line value, as the tax
+// service does) and the tax charged on those units added.
+const getPaidLineAmount = (order, orderItem, quantity) => {
+  const discountRatio = order.itemsPrice > 0
+    ? Math.min((order.discountAmount || 0) / order.itemsPrice, 1)
+    : 0;
+  const unitTax = (orderItem.taxAmount || 0) / orderItem.quantity;
+
+  return roundPrice((orderItem.price * (1 - discountRatio) + unitTax) * quantity);
+};
+
+// Check the refunded lines against the order and price any line that does
+// not carry its own amount at what the customer paid
+const priceRefundItems = (order, items) => {
+  return items.map(item => {
+    const orderItem = order.orderItems.id(item.orderItem);
+
+    if (!orderItem) {
+      throw new ErrorResponse(`Order item not found: ${item.orderItem}`, 400);
+    }
+
+    const quantity = parseInt(item.quantity) || orderItem.quantity;
+    const refundable = orderItem.quantity - getRefundedQuantity(order, orderItem._id);
+
+    if (quantity > refundable) {
+      throw new ErrorResponse(
+        `Cannot refund ${quantity} of ${orderItem.name}. Refundable: ${refundable}`,
+        400
+      );
+    }
+
+    return {
+      orderItem: orderItem._id,
+      quantity,
+      amount: item.amount === undefined
+        ? getPaidLineAmount(order, orderItem, quantity)
+        : roundPrice(Number(item.amount))
+    };
+  });
+};
+
+// Tell the customer about a refund that has gone through. The refund has
+// already happened, so a failure here is only logged.
+const notifyRefund = (order, entry) => {
+  queueOrderMail('refundIssued', order, { amount: entry.amount, reason: entry.reason })
+    .catch(error => {
+      console.error(`Refund email for order ${order.orderNumber} failed:`, error.message);
+    });
+};
+
+// Reload an order's ledger from the database without leaving the order with
+// ledger changes to save, so a later save cannot write an entry twice
+const syncLedger = async (order) => {
+  const stored = await Order.findById(order._id).select('refunds');
+
+  order.set('refunds', stored ? stored.refunds.map(entry => entry.toObject()) : []);
+  order.unmarkModified('refunds');
+};
+
+// Add a refund to an order's ledger unless it is already there. The request
+// that made a refund and Stripe's webhook for it can race, so the check and
+// the write are one update. Returns the entry and whether this call added it.
+const addLedgerEntry = async (order, fields) => {
+  const result = await Order.updateOne(
+    { _id: order._id, 'refunds.stripeRefundId': { $ne: fields.stripeRefundId } },
+    { $push: { refunds: fields } }
+  );
+  await syncLedger(order);
+
+  return {
+    entry: order.refunds.find(existing => existing.stripeRefundId === fields.stripeRefundId),
+    added: result.modifiedCount === 1
+  };
+};
+
+// Refund part or all of what is left on a paid order through Stripe and add
+// it to the order's refund ledger, which is written straight away. Without
+// an amount the refund covers the given lines, or everything still
+// refundable.
+const refundOrder = async (order, { amount, items = [], reason, actor, idempotencyKey } = {}) => {
+  if (!order.isPaid || !order.stripePaymentIntentId) {
+    throw new ErrorResponse('Order is not paid or missing payment information', 400);
+  }
+
+  const refundItems = priceRefundItems(order, items);
+  const remaining = roundPrice(order.totalPrice - getRefundedAmount(order));
+
+  let refundAmount;
+  if (amount !== undefined) {
+    refundAmount = roundPrice(Number(amount));
+  } else if (refundItems.length > 0) {
+    // Rounding each line can come to a cent more than is left
+    refundAmount = Math.min(
+      roundPrice(refundItems.reduce((total, item) => total + item.amount, 0)),
+      remaining
+    );
+  } else {
+    refundAmount = remaining;
+  }
+
+  if (refundAmount <= 0) {
+    return null;
+  }
+
+  if (refundAmount > remaining) {
+    throw new ErrorResponse(`Refund cannot exceed the remaining paid amount of ${remaining}`, 400, {
+      refundable: remaining
+    });
+  }
+
+  const refund = await stripe.refunds.create({
+    payment_intent: order.stripePaymentIntentId,
+    amount: Math.round(refundAmount * 100),
+    reason: 'requested_by_customer',
+    metadata: {
+      orderId: order._id.toString(),
+      refundReason: reason || 'Customer request'
+    }
+  }, idempotencyKey ? { idempotencyKey } : undefined);
+
+  // An idempotent retry, or the webhook, may already have added it
+  const { entry, added } = await addLedgerEntry(order, {
+    amount: refund.amount / 100,
+    items: refundItems,
+    reason: reason || 'Customer request',
+    stripeRefundId: refund.id,
+    status: STRIPE_REFUND_STATUS[refund.status] || 'pending',
+    requestedBy: actor ? actor._id : undefined,
+    processedAt: refund.status === 'succeeded' ? new Date() : undefined
+  });
+
+  if (added && entry.status === 'succeeded') {
+    notifyRefund(order, entry);
+  }
+
+  return entry;
+};
+
+// Bring the ledger in line with a refund object received from a Stripe
+// webhook. Refunds created outside the API (e.g. in the Stripe dashboard)
+// are added to the ledger. The ledger is written straight away; returns the
+// order, for its status to be settled, or null.
+const reconcileStripeRefund = async (refund) => {
+  let order = await Order.findOne({ 'refunds.stripeRefundId': refund.id });
+
+  if (!order && refund.metadata && refund.metadata.orderId) {
+    order = await Order.findById(refund.metadata.orderId);
+  }
+
+  if (!order && refund.payment_intent) {
+    order = await Order.findOne({ stripePaymentIntentId: refund.payment_intent });
+  }
+
+  if (!order) {
+    return null;
+  }
+
+  const status = STRIPE_REFUND_STATUS[refund.status] || 'pending';
+  const processedAt = status === 'succeeded' ? new Date() : undefined;
+
+  const { entry, added } = await addLedgerEntry(order, {
+    amount: refund.amount / 100,
+    reason: (refund.metadata && refund.metadata.refundReason) || 'Refunded in Stripe',
+    stripeRefundId: refund.id,
+    status,
+    processedAt,
+    failureReason: refund.failure_reason || undefined
+  });
+
+  if (added) {
+    if (status === 'succeeded') {
+      notifyRefund(order, entry);
+    }
+    return order;
+  }
+
+  // Already on the ledger: update its status, once, so only one delivery of
+  // a webhook sends the refund email
+  const update = { 'refunds.$.status': status };
+  if (processedAt && !entry.processedAt) {
+    update['refunds.$.processedAt'] = processedAt;
+  }
+  if (refund.failure_reason) {
+    update['refunds.$.failureReason'] = refund.failure_reason;
+  }
+
+  const result = await Order.updateOne(
+    { _id: order._id, refunds: { $elemMatch: { stripeRefundId: refund.id, status: { $ne: status } } } },
+    { $set: update }
+  );
+  await syncLedger(order);
+
+  if (result.modifiedCount === 1 && status === 'succeeded') {
+    notifyRefund(order, entry);
+  }
+
+  return order;
+};
+
+// Refunds attached to a charge, fetching them when the event omits the list
+const listChargeRefunds = async (charge) => {
+  if (charge.refunds && Array.isArray(charge.refunds.data)) {
+    return charge.refunds.data;
+  }
+
+  const refunds = await stripe.refunds.list({ charge: charge.id, limit: 100 });
+  return refunds.data;
+};
+
+module.exports = {
+  getRefundedAmount,
+  getRefundedQuantity,
+  getPaidLineAmount,
+  refundOrder,
+  reconcileStripeRefund,
+  listChargeRefunds
+};
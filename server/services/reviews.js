@@ -0,0 +1,72 @@
+const ErrorResponse = require('../utils/errorResponse');
+
+const REPORT_REASONS = ['spam', 'offensive', 'off_topic', 'fake', 'other'];
+
+// New reviews wait for a moderator unless REVIEWS_REQUIRE_APPROVAL is turned
+// off. Edited reviews always do.
+const requiresApproval = () => process.env.REVIEWS_REQUIRE_APPROVAL !== 'false';
+
+const getNewReviewStatus = () => (requiresApproval() ? 'pending' : 'approved');
+
+const isOwnReview = (review, user) => {
+  const author = review.user && review.user._id ? review.user._id : review.user;
+  return Boolean(user) && String(author) === String(user._id);
+};
+
+// Find a review on a product, throwing a 404 if there isn't one
+const findReview = (product, reviewId) => {
+  const review = product.reviews.id(reviewId);
+
+  if (!review) {
+    throw new ErrorResponse('Review not found', 404);
+  }
+  return review;
+};
+
+// A review as shoppers see it: vote counts instead of who voted, and none of
+// the reports or moderation notes. The author also sees its status.
+const toPublicReview = (review, viewer) => {
+  const viewerId = viewer ? String(viewer._id) : null;
+  const own = isOwnReview(review, viewer);
+
+  let myVote = null;
+  if (viewerId && review.helpful.some(id => String(id) === viewerId)) {
+    myVote = 'helpful';
+  } else if (viewerId && review.unhelpful.some(id => String(id) === viewerId)) {
+    myVote = 'unhelpful';
+  }
+
+  return {
+    _id: review._id,
+    user: review.user,
+    rating: review.rating,
+    comment: review.comment,
+    verified: review.verified,
+    helpfulCount: review.helpful.length,
+    unhelpfulCount: review.unhelpful.length,
+    myVote,
+    status: own ? review.status : undefined,
+    editedAt: review.editedAt,
+    createdAt: review.createdAt,
+    updatedAt: review.updatedAt
+  };
+};
+
+// The reviews a viewer may see on a product page: approved ones, plus their
+// own whatever its status, most helpful first
+const getVisibleReviews = (product, viewer) => {
+  return product.reviews
+    .filter(review => review.status === 'approved' || isOwnReview(review, viewer))
+    .map(review => toPublicReview(review, viewer))
+    .sort((a, b) => b.helpfulCount - a.helpfulCount || b.createdAt - a.createdAt);
+};
+
+module.exports = {
+  REPORT_REASONS,
+  requiresApproval,
+  getNewReviewStatus,
+  isOwnReview,
+  findReview,
+  toPublicReview,
+  getVisibleReviews
+};
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const ErrorResponse = require('../utils/errorResponse');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// How long a session lasts without its refresh token being used
+const getRefreshTokenDays = () => parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens are the session id and a random secret; only the hash of
+// the secret is stored
+const generateSecret = () => crypto.randomBytes(40).toString('hex');
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+
+  if (!/^[a-f\d]{24}$/i.test(sessionId) || !secret) {
+    return null;
+  }
+
+  return { sessionId, secret };
+};
+
+const getClientInfo = (req) => ({
+  userAgent: req.get('user-agent'),
+  ip: req.ip
+});
+
+// The tokens a client gets on sign in and on every refresh
+const getSessionTokens = (user, session, secret) => ({
+  token: user.getSignedJwtToken(session._id),
+  refreshToken: `${session._id}.${secret}`
+});
+
+// Start a session for a user signing in on the device making `req`
+const createSession = async (user, req) => {
+  const secret = generateSecret();
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    ...getClientInfo(req),
+    expiresAt: new Date(Date.now() + getRefreshTokenDays() * DAY)
+  });
+
+  return getSessionTokens(user, session, secret);
+};
+
+// Swap a refresh token for new access and refresh tokens. Each refresh token
+// works once; using one that was already swapped revokes the session, since
+// either it or its replacement is in the wrong hands.
+const rotateSession = async (refreshToken, req) => {
+  const invalid = new ErrorResponse('Invalid or expired refresh token', 401);
+  const parsed = parseRefreshToken(refreshToken);
+
+  if (!parsed) {
+    throw invalid;
+  }
+
+  const session = await Session.findById(parsed.sessionId);
+
+  if (!session || !session.isValid()) {
+    throw invalid;
+  }
+
+  const presentedHash = hashToken(parsed.secret);
+
+  if (presentedHash === session.previousRefreshTokenHash) {
+    await revokeSession(session.user, session._id, 'token_reuse');
+    throw invalid;
+  }
+
+  const user = await User.findById(session.user);
+
+  if (!user || !user.isActive) {
+    await revokeSession(session.user, session._id, 'deactivated');
+    throw invalid;
+  }
+
+  const secret = generateSecret();
+
+  // Matching on the current hash makes sure two refreshes racing with the
+  // same token cannot both succeed
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      refreshTokenHash: hashToken(secret),
+      previousRefreshTokenHash: presentedHash,
+      ...getClientInfo(req),
+      lastUsedAt: new Date(),
+      expiresAt: new Date(Date.now() + getRefreshTokenDays() * DAY)
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    throw invalid;
+  }
+
+  return { user, ...getSessionTokens(user, rotated, secret) };
+};
+
+// Whether an access token's session is still signed in
+const isSessionActive = (userId, sessionId) => {
+  return Session.exists({
+    _id: sessionId,
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// The devices a user is signed in on, most recently used first
+const listSessions = (userId) => {
+  return Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+    .select('userAgent ip lastUsedAt expiresAt createdAt')
+    .sort({ lastUsedAt: -1 });
+};
+
+// Sign one device out. Returns null if the user has no such session.
+const revokeSession = (userId, sessionId, reason = 'revoked') => {
+  return Session.findOneAndUpdate(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason },
+    { new: true }
+  );
+};
+
+// Sign a user out everywhere, optionally keeping the session `except`
+const revokeAllSessions = (userId, reason, { except } = {}) => {
+  const filter = { user: userId, revokedAt: null };
+
+  if (except) {
+    filter._id = { $ne: except };
+  }
+
+  return Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  isSessionActive,
+  listSessions,
+  revokeSession,
+  revokeAllSessions
+};
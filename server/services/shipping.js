@@ -0,0 +1,158 @@
+const ShippingZone = require('../models/ShippingZone');
+const ErrorResponse = require('../utils/errorResponse');
+const { roundPrice } = require('../utils/money');
+const { normalizeAddress } = require('../utils/address');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Products marked as shipping free do not count towards the shipping charge
+const getChargeableLines = (lines) => {
+  return lines.filter(line => !(line.productDoc.shipping && line.productDoc.shipping.free));
+};
+
+// Slowest delivery estimate among the products in the order
+const getProductEstimatedDays = (lines) => {
+  return lines.reduce((estimate, line) => {
+    const days = line.productDoc.shipping && line.productDoc.shipping.estimatedDays;
+    return {
+      min: Math.max(estimate.min, (days && days.min) || 0),
+      max: Math.max(estimate.max, (days && days.max) || 0)
+    };
+  }, { min: 0, max: 0 });
+};
+
+// Fallback when no zone covers the address: each product line is charged
+// its own shipping cost
+const getProductShippingOption = (lines) => ({
+  code: 'standard',
+  name: 'Standard Shipping',
+  zone: null,
+  cost: roundPrice(getChargeableLines(lines).reduce(
+    (total, line) => total + (line.productDoc.shipping.cost || 0), 0
+  )),
+  estimatedDays: getProductEstimatedDays(lines)
+});
+
+// The most specific active zone covering the address: zones listing the
+// address's state win over zones covering the whole country
+const findZone = async (address) => {
+  const { country, state } = normalizeAddress(address);
+
+  const zones = await ShippingZone.find({ countries: country, isActive: true });
+
+  return zones.find(zone => zone.states.includes(state)) ||
+    zones.find(zone => zone.states.length === 0) ||
+    null;
+};
+
+const findTier = (tiers, value) => {
+  return tiers.find(tier => value >= tier.min && (tier.max === undefined || tier.max === null || value < tier.max));
+};
+
+// Price one zone method for the order lines, or null if no tier applies
+const quoteMethod = (method, lines) => {
+  const chargeable = getChargeableLines(lines);
+  const subtotal = lines.reduce((total, line) => total + line.price * line.quantity, 0);
+  const weight = chargeable.reduce(
+    (total, line) => total + (line.productDoc.weight || 0) * line.quantity, 0
+  );
+
+  let cost;
+  if (chargeable.length === 0) {
+    cost = 0;
+  } else if (method.rateType === 'weight') {
+    const tier = findTier(method.tiers, weight);
+    if (!tier) return null;
+    cost = tier.cost;
+  } else if (method.rateType === 'price') {
+    const tier = findTier(method.tiers, subtotal);
+    if (!tier) return null;
+    cost = tier.cost;
+  } else {
+    cost = method.flatRate;
+  }
+
+  if (method.freeShippingThreshold !== undefined && method.freeShippingThreshold !== null &&
+      subtotal >= method.freeShippingThreshold) {
+    cost = 0;
+  }
+
+  // Products that take longer to dispatch push the estimate out
+  const productDays = getProductEstimatedDays(lines);
+  const methodDays = method.estimatedDays || {};
+
+  return {
+    code: method.code,
+    name: method.name,
+    cost: roundPrice(cost),
+    freeShippingThreshold: method.freeShippingThreshold,
+    estimatedDays: {
+      min: Math.max(methodDays.min || 0, productDays.min),
+      max: Math.max(methodDays.max || 0, productDays.max)
+    }
+  };
+};
+
+// Expected delivery date for an option, counted from now
+const getEstimatedDelivery = (option) => {
+  if (!option.estimatedDays || !option.estimatedDays.max) {
+    return undefined;
+  }
+  return new Date(Date.now() + option.estimatedDays.max * DAY);
+};
+
+// All shipping options available for the priced lines to `address`
+const getShippingOptions = async (lines, address) => {
+  const zone = await findZone(address);
+
+  if (!zone) {
+    const option = getProductShippingOption(lines);
+    return [{ ...option, estimatedDelivery: getEstimatedDelivery(option) }];
+  }
+
+  return zone.methods
+    .filter(method => method.isActive)
+    .map(method => quoteMethod(method, lines))
+    .filter(Boolean)
+    .map(option => ({
+      ...option,
+      zone: zone.name,
+      estimatedDelivery: getEstimatedDelivery(option)
+    }))
+    .sort((a, b) => a.cost - b.cost);
+};
+
+// Shipping for an order: the chosen method (the cheapest when none is
+// chosen) for the address, or product based shipping when there is no
+// address yet, e.g. when previewing a cart
+const quoteShipping = async (lines, address, methodCode) => {
+  if (!address || !address.country) {
+    return getProductShippingOption(lines);
+  }
+
+  const options = await getShippingOptions(lines, address);
+
+  if (options.length === 0) {
+    throw new ErrorResponse('No shipping method is available for this address', 400);
+  }
+
+  if (!methodCode) {
+    return options[0];
+  }
+
+  const option = options.find(candidate => candidate.code === methodCode);
+
+  if (!option) {
+    throw new ErrorResponse(`Shipping method ${methodCode} is not available for this address`, 400, {
+      shippingOptions: options
+    });
+  }
+
+  return option;
+};
+
+module.exports = {
+  getShippingOptions,
+  quoteShipping,
+  getEstimatedDelivery
+};
@@ -0,0 +1,105 @@
+const { roundPrice } = require('../../utils/money');
+const localProvider = require('./localProvider');
+
+// Tax providers by name. A provider is an object with a `name` and an async
+// `calculate({ address, lines })` that, for every line ({ index, category,
+// sku, quantity, taxableAmount }), returns
+// `{ lines: [{ index, taxes: [{ jurisdiction, country, state, rate, taxableAmount, amount }] }] }`.
+const providers = {
+  local: localProvider
+};
+
+// Make an external provider (e.g. a tax API client) available by name
+const registerTaxProvider = (provider) => {
+  providers[provider.name] = provider;
+};
+
+const getTaxProvider = () => {
+  const name = process.env.TAX_PROVIDER || 'local';
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Unknown tax provider: ${name}`);
+  }
+
+  return provider;
+};
+
+// Whether the user's tax exemption covers the given jurisdiction
+const isExempt = (user, jurisdiction) => {
+  const exemption = user && user.taxExemption;
+
+  if (!exemption || !exemption.isExempt) return false;
+  if (exemption.expiresAt && exemption.expiresAt < new Date()) return false;
+  if (exemption.jurisdictions && exemption.jurisdictions.length > 0) {
+    return exemption.jurisdictions.includes(jurisdiction);
+  }
+  return true;
+};
+
+// Work out tax for priced order lines shipped to `address`. Discounts are
+// spread over the lines in proportion to their value before tax is applied;
+// shipping is not taxed. Returns the total, the tax on each line and a
+// breakdown by jurisdiction.
+const calculateTax = async ({ lines, address, discountAmount = 0, user }) => {
+  const result = { taxPrice: 0, lineTaxes: lines.map(() => 0), breakdown: [], exempt: false };
+
+  if (!address || !address.country || lines.length === 0) {
+    return result;
+  }
+
+  const itemsPrice = lines.reduce((total, line) => total + line.price * line.quantity, 0);
+  const discountRatio = itemsPrice > 0 ? Math.min(discountAmount / itemsPrice, 1) : 0;
+
+  const provider = getTaxProvider();
+  const response = await provider.calculate({
+    address,
+    lines: lines.map((line, index) => ({
+      index,
+      category: line.productDoc.category,
+      sku: line.sku,
+      quantity: line.quantity,
+      taxableAmount: roundPrice(line.price * line.quantity * (1 - discountRatio))
+    }))
+  });
+
+  const breakdown = {};
+
+  response.lines.forEach(line => {
+    line.taxes.forEach(tax => {
+      if (isExempt(user, tax.jurisdiction)) {
+        result.exempt = true;
+        return;
+      }
+
+      const amount = roundPrice(tax.amount);
+      result.lineTaxes[line.index] = roundPrice(result.lineTaxes[line.index] + amount);
+
+      if (!breakdown[tax.jurisdiction]) {
+        breakdown[tax.jurisdiction] = {
+          jurisdiction: tax.jurisdiction,
+          country: tax.country,
+          state: tax.state,
+          rate: tax.rate,
+          taxableAmount: 0,
+          amount: 0
+        };
+      }
+
+      const entry = breakdown[tax.jurisdiction];
+      entry.taxableAmount = roundPrice(entry.taxableAmount + tax.taxableAmount);
+      entry.amount = roundPrice(entry.amount + amount);
+    });
+  });
+
+  result.breakdown = Object.values(breakdown);
+  result.taxPrice = roundPrice(result.lineTaxes.reduce((total, amount) => total + amount, 0));
+  result.provider = provider.name;
+
+  return result;
+};
+
+module.exports = {
+  registerTaxProvider,
+  calculateTax
+};
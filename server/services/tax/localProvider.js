@@ -0,0 +1,47 @@
+const taxTable = require('../../config/taxRates');
+const { normalizeAddress } = require('../../utils/address');
+
+const matchesAddress = (rule, address) => {
+  if (rule.country !== address.country) return false;
+  if (rule.state && rule.state !== address.state) return false;
+  if (rule.zipPrefixes && !rule.zipPrefixes.some(prefix => address.zipCode.startsWith(prefix))) {
+    return false;
+  }
+  return true;
+};
+
+// Table-driven provider backed by config/taxRates.js
+module.exports = {
+  name: 'local',
+
+  async calculate({ address, lines }) {
+    const normalizedAddress = normalizeAddress(address);
+
+    const rules = taxTable.rules.filter(rule => matchesAddress(rule, normalizedAddress));
+
+    const jurisdictions = [...new Set(rules.map(rule => rule.jurisdiction))];
+
+    return {
+      lines: lines.map(line => ({
+        index: line.index,
+        taxes: jurisdictions.map(jurisdiction => {
+          const candidates = rules.filter(rule => rule.jurisdiction === jurisdiction);
+
+          // A rule for the product's category beats the general rule
+          const rule = candidates.find(candidate =>
+            candidate.categories && candidate.categories.includes(line.category)
+          ) || candidates.find(candidate => !candidate.categories);
+
+          return rule && {
+            jurisdiction,
+            country: rule.country,
+            state: rule.state,
+            rate: rule.rate,
+            taxableAmount: line.taxableAmount,
+            amount: line.taxableAmount * rule.rate
+          };
+        }).filter(Boolean)
+      }))
+    };
+  }
+};
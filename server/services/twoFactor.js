@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const ErrorResponse = require('../utils/errorResponse');
+const { generateSecret, verifyCode, getProvisioningUri } = require('../utils/totp');
+const { signScopedToken, verifyScopedToken } = require('../utils/scopedTokens');
+const { getPermissions } = require('./permissions');
+
+const BACKUP_CODE_COUNT = 10;
+const ISSUER = 'SalesMart';
+
+// Fields hidden from normal user queries that the two-factor checks need
+const TWO_FACTOR_FIELDS = [
+  '+twoFactor.secret',
+  '+twoFactor.pendingSecret',
+  '+twoFactor.backupCodes',
+  '+twoFactor.lastUsedStep'
+].join(' ');
+
+const hashBackupCode = (code) => {
+  const normalized = String(code).replace(/[\s-]/g, '').toLowerCase();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+// Load a user with their two-factor secrets
+const findUserWithTwoFactor = (userId) => User.findById(userId).select(TWO_FACTOR_FIELDS);
+
+// Whether the REQUIRE_ADMIN_2FA policy applies to this user. It covers all
+// staff, i.e. anyone whose role grants a permission, not just `admin`.
+const isTwoFactorRequired = async (user) => {
+  return process.env.REQUIRE_ADMIN_2FA === 'true' && (await getPermissions(user)).length > 0;
+};
+
+// Start enrollment with a new secret. It only takes effect once a code from
+// it is confirmed with enableTwoFactor.
+const startTwoFactorSetup = async (user) => {
+  if (user.twoFactor.enabled) {
+    throw new ErrorResponse('Two-factor authentication is already enabled', 400);
+  }
+
+  const secret = generateSecret();
+  user.twoFactor.pendingSecret = secret;
+  await user.save({ validateBeforeSave: false });
+
+  return {
+    secret,
+    otpauthUrl: getProvisioningUri(secret, user.email, ISSUER)
+  };
+};
+
+// Replace the user's backup codes with new ones. The caller saves the user.
+// The codes are only ever shown this once.
+const generateBackupCodes = (user) => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+
+  user.twoFactor.backupCodes = codes.map(hashBackupCode);
+  return codes;
+};
+
+// Turn two-factor on once the user proves their app produces valid codes.
+// Returns the backup codes.
+const enableTwoFactor = async (user, code) => {
+  if (user.twoFactor.enabled) {
+    throw new ErrorResponse('Two-factor authentication is already enabled', 400);
+  }
+
+  if (!user.twoFactor.pendingSecret) {
+    throw new ErrorResponse('Start two-factor setup first', 400);
+  }
+
+  const step = verifyCode(user.twoFactor.pendingSecret, code);
+
+  if (step === null) {
+    throw new ErrorResponse('Invalid authentication code', 400);
+  }
+
+  user.twoFactor.enabled = true;
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.enabledAt = new Date();
+  const backupCodes = generateBackupCodes(user);
+
+  await user.save({ validateBeforeSave: false });
+
+  return backupCodes;
+};
+
+// Check a code from the user's app or one of their backup codes. Both are
+// used up atomically: an app code cannot be replayed and a backup code works
+// once. Returns how the user proved themselves, or null if the code is
+// wrong.
+const verifySecondFactor = async (user, code) => {
+  const step = verifyCode(user.twoFactor.secret, code);
+
+  if (step !== null) {
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { 'twoFactor.lastUsedStep': { $lt: step } },
+          { 'twoFactor.lastUsedStep': { $exists: false } }
+        ]
+      },
+      { 'twoFactor.lastUsedStep': step }
+    );
+    return result.modifiedCount === 1 ? { method: 'totp' } : null;
+  }
+
+  const hash = hashBackupCode(code);
+  const result = await User.updateOne(
+    { _id: user._id, 'twoFactor.backupCodes': hash },
+    { $pull: { 'twoFactor.backupCodes': hash } }
+  );
+
+  if (result.modifiedCount !== 1) {
+    return null;
+  }
+
+  return {
+    method: 'backup_code',
+    backupCodesRemaining: user.twoFactor.backupCodes.filter(entry => entry !== hash).length
+  };
+};
+
+// Turn two-factor off and forget the secret and backup codes
+const disableTwoFactor = async (user) => {
+  user.twoFactor.enabled = false;
+  user.twoFactor.secret = undefined;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.backupCodes = undefined;
+  user.twoFactor.lastUsedStep = undefined;
+  user.twoFactor.enabledAt = undefined;
+  await user.save({ validateBeforeSave: false });
+};
+
+// Short-lived token standing for a correct password while the login waits
+// for the second factor
+const getLoginChallengeToken = (user) => signScopedToken('two-factor-login', user._id, '5m');
+
+// The user a login challenge token was issued for. Throws if it is invalid
+// or expired.
+const verifyLoginChallengeToken = (token) => verifyScopedToken(token, 'two-factor-login');
+
+module.exports = {
+  findUserWithTwoFactor,
+  isTwoFactorRequired,
+  startTwoFactorSetup,
+  generateBackupCodes,
+  enableTwoFactor,
+  verifySecondFactor,
+  disableTwoFactor,
+  getLoginChallengeToken,
+  verifyLoginChallengeToken
+};
@@ -0,0 +1,201 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const AuthThrottle = require('../models/AuthThrottle');
+const LockoutEvent = require('../models/LockoutEvent');
+const { checkThrottle, recordFailure, clearFailures } = require('../services/authThrottle');
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+const identity = { email: 'Jane@Example.com', ip: '203.0.113.7' };
+
+let now;
+let throttles;
+let lockouts;
+
+const matches = (doc, filter) => Object.entries(filter).every(([field, condition]) => {
+  if (condition && condition.$lt) {
+    return doc[field] < condition.$lt;
+  }
+  if (condition && condition.$gte !== undefined) {
+    return doc[field] >= condition.$gte;
+  }
+  return String(doc[field]) === String(condition);
+});
+
+const find = (filter) => throttles.find(doc => matches(doc, filter));
+
+const apply = (doc, update) => {
+  const { $inc = {}, $set = {}, $unset = {}, ...fields } = update;
+
+  Object.assign(doc, fields, $set);
+  for (const [field, amount] of Object.entries($inc)) {
+    doc[field] = (doc[field] || 0) + amount;
+  }
+  for (const field of Object.keys($unset)) {
+    delete doc[field];
+  }
+  return { ...doc };
+};
+
+// Just enough of AuthThrottle's queries for the service, kept in memory
+const useStore = () => {
+  mock.method(Date, 'now', () => now);
+
+  mock.method(AuthThrottle, 'find', async ({ $or }) => {
+    return throttles.filter(doc => $or.some(key => matches(doc, key))).map(doc => ({ ...doc }));
+  });
+
+  mock.method(AuthThrottle, 'updateOne', async (filter, update) => {
+    const doc = find(filter);
+    if (doc) {
+      apply(doc, update);
+    }
+    return { modifiedCount: doc ? 1 : 0 };
+  });
+
+  mock.method(AuthThrottle, 'findOneAndUpdate', async (filter, update, options = {}) => {
+    let doc = find(filter);
+
+    if (!doc && options.upsert) {
+      doc = { _id: new mongoose.Types.ObjectId(), failures: 0, lockouts: 0, ...filter };
+      throttles.push(doc);
+    }
+    return doc ? apply(doc, update) : null;
+  });
+
+  mock.method(AuthThrottle, 'deleteOne', async (filter) => {
+    throttles = throttles.filter(doc => !matches(doc, filter));
+  });
+
+  mock.method(LockoutEvent, 'create', async (event) => {
+    lockouts.push(event);
+  });
+};
+
+const getCounter = (kind) => throttles.find(doc => doc.kind === kind);
+
+const fail = async (times) => {
+  for (let i = 0; i < times; i++) {
+    await recordFailure('login', identity);
+  }
+};
+
+const getWait = async () => {
+  try {
+    await checkThrottle('login', identity);
+    return 0;
+  } catch (error) {
+    assert.equal(error.statusCode, 429);
+    return error.details.retryAfter;
+  }
+};
+
+beforeEach(() => {
+  mock.restoreAll();
+  now = Date.UTC(2026, 0, 1);
+  throttles = [];
+  lockouts = [];
+  delete process.env.AUTH_MAX_FAILURES;
+  useStore();
+});
+
+describe('recordFailure', () => {
+  it('counts failures per lower-cased email and per IP address', async () => {
+    await fail(2);
+
+    assert.equal(getCounter('account').value, 'jane@example.com');
+    assert.equal(getCounter('account').failures, 2);
+    assert.equal(getCounter('ip').value, '203.0.113.7');
+    assert.equal(getCounter('ip').failures, 2);
+  });
+
+  it('lets the first three failures retry straight away', async () => {
+    await fail(3);
+
+    assert.equal(await getWait(), 0);
+  });
+
+  it('doubles the wait with each failure after that', async () => {
+    const waits = [];
+    for (let i = 0; i < 5; i++) {
+      await fail(1);
+      waits.push(await getWait());
+    }
+
+    assert.deepEqual(waits, [0, 0, 0, 1, 2]);
+
+    await fail(1);
+    assert.equal(getCounter('account').nextAttemptAt.getTime() - now, 4 * SECOND);
+  });
+
+  it('lets the attempt through once the wait is over', async () => {
+    await fail(5);
+    assert.equal(await getWait(), 2);
+
+    now += 2 * SECOND;
+    assert.equal(await getWait(), 0);
+  });
+
+  it('waits a minute at most', async () => {
+    process.env.AUTH_MAX_FAILURES = '20';
+
+    await fail(12);
+
+    assert.equal(getCounter('account').nextAttemptAt.getTime() - now, MINUTE);
+  });
+
+  it('starts counting again after a quiet spell', async () => {
+    await fail(5);
+
+    now += 16 * MINUTE;
+    await fail(1);
+
+    assert.equal(getCounter('account').failures, 1);
+    assert.equal(await getWait(), 0);
+  });
+
+  it('locks the account out at the limit, for twice as long each time', async () => {
+    await fail(10);
+
+    assert.equal(lockouts.length, 1);
+    assert.equal(lockouts[0].kind, 'account');
+    assert.equal(getCounter('account').failures, 0);
+    assert.equal(getCounter('account').lockedUntil.getTime() - now, 15 * MINUTE);
+    assert.equal(getCounter('account').nextAttemptAt, undefined);
+    assert.equal(await getWait(), 15 * 60);
+
+    now += 15 * MINUTE;
+    await fail(10);
+
+    assert.equal(lockouts.length, 2);
+    assert.equal(getCounter('account').lockedUntil.getTime() - now, 30 * MINUTE);
+  });
+
+  it('leaves the IP address unlocked until its own, higher limit', async () => {
+    await fail(10);
+
+    assert.equal(getCounter('ip').failures, 10);
+    assert.equal(getCounter('ip').lockedUntil, undefined);
+  });
+});
+
+describe('clearFailures', () => {
+  it('forgets the account but not the IP address', async () => {
+    await fail(5);
+
+    await clearFailures('login', identity);
+
+    assert.equal(getCounter('account'), undefined);
+    assert.equal(getCounter('ip').failures, 5);
+  });
+});
+
+describe('checkThrottle', () => {
+  it('has nothing to check without an email or IP address', async () => {
+    await checkThrottle('login', {});
+
+    assert.equal(AuthThrottle.find.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,205 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+// orderStatus takes these by destructuring, so they are replaced before it
+// is loaded
+const mail = require('../services/mail');
+const inventory = require('../services/inventory');
+const coupons = require('../services/coupons');
+const refunds = require('../services/refunds');
+
+const calls = [];
+mail.queueOrderMail = async (template) => { calls.push(`mail:${template}`); };
+inventory.commitHold = async () => { calls.push('commitHold'); };
+inventory.restoreStock = async () => { calls.push('restoreStock'); };
+inventory.closeHold = async () => { calls.push('closeHold'); };
+coupons.releaseCoupons = async () => { calls.push('releaseCoupons'); };
+refunds.refundOrder = async (order, options) => {
+  calls.push(`refund:${options.idempotencyKey}`);
+  return null;
+};
+
+const Order = require('../models/Order');
+const Role = require('../models/Role');
+const { TRANSITIONS, OPEN_STATUSES, getAllowedTransitions, transitionOrder } = require('../services/orderStatus');
+
+const admin = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+const customer = { _id: new mongoose.Types.ObjectId(), role: 'user' };
+
+const buildOrder = (fields = {}) => {
+  const order = new Order({ orderNumber: 'SM-TEST', totalPrice: 20, ...fields });
+  mock.method(order, 'save', async function () {
+    calls.push(`save:${this.status}`);
+    return this;
+  });
+  return order;
+};
+
+// Stands in for the session a caller's transaction would pass
+const callerSession = {};
+
+// A session for transitionOrder's own transaction, recording what it did
+const useOwnSession = () => {
+  mock.method(mongoose, 'startSession', async () => ({
+    startTransaction: () => calls.push('startTransaction'),
+    commitTransaction: async () => { calls.push('commitTransaction'); },
+    abortTransaction: async () => { calls.push('abortTransaction'); },
+    endSession: async () => {}
+  }));
+};
+
+beforeEach(() => {
+  calls.length = 0;
+  mock.restoreAll();
+});
+
+describe('TRANSITIONS', () => {
+  it('has an entry for every status an order can move to', () => {
+    for (const targets of Object.values(TRANSITIONS)) {
+      for (const to of Object.keys(targets)) {
+        assert.ok(TRANSITIONS[to], `${to} is not a known status`);
+      }
+    }
+  });
+
+  it('leaves cancelled and refunded orders where they are', () => {
+    assert.deepEqual(TRANSITIONS.cancelled, {});
+    assert.deepEqual(TRANSITIONS.refunded, {});
+  });
+
+  it('counts orders still being fulfilled as open', () => {
+    assert.deepEqual(
+      [...OPEN_STATUSES].sort(),
+      ['confirmed', 'partially_refunded', 'pending', 'processing', 'shipped']
+    );
+  });
+});
+
+describe('getAllowedTransitions', () => {
+  it('lets customers only cancel', async () => {
+    assert.deepEqual(await getAllowedTransitions('confirmed', customer), ['cancelled']);
+    assert.deepEqual(await getAllowedTransitions('shipped', customer), []);
+  });
+
+  it('lets admins move on, cancel and refund', async () => {
+    assert.deepEqual(
+      await getAllowedTransitions('confirmed', admin),
+      ['processing', 'cancelled', 'partially_refunded', 'refunded']
+    );
+  });
+
+  it('lets the system only confirm, deliver and refund', async () => {
+    assert.deepEqual(await getAllowedTransitions('pending', null), ['confirmed', 'cancelled']);
+    assert.deepEqual(
+      await getAllowedTransitions('shipped', null),
+      ['delivered', 'partially_refunded', 'refunded']
+    );
+  });
+
+  it('needs orders:refund rather than orders:update for refund statuses', async () => {
+    mock.method(Role, 'findOne', () => ({
+      select: async () => ({ permissions: ['orders:read', 'orders:update'] })
+    }));
+    const support = { _id: new mongoose.Types.ObjectId(), role: 'support' };
+
+    assert.deepEqual(await getAllowedTransitions('confirmed', support), ['processing', 'cancelled']);
+  });
+});
+
+describe('transitionOrder', () => {
+  it('rejects moves the table does not allow', async () => {
+    const order = buildOrder({ status: 'pending' });
+
+    await assert.rejects(
+      transitionOrder(order, 'shipped', { actor: admin, session: callerSession }),
+      error => error.statusCode === 400 && error.details.allowedTransitions.includes('confirmed')
+    );
+    assert.equal(order.status, 'pending');
+  });
+
+  it('rejects unknown statuses and moves to the current status', async () => {
+    const order = buildOrder({ status: 'confirmed' });
+
+    await assert.rejects(
+      transitionOrder(order, 'lost', { actor: admin, session: callerSession }),
+      { statusCode: 400, message: 'Invalid order status: lost' }
+    );
+    await assert.rejects(
+      transitionOrder(order, 'confirmed', { actor: admin, session: callerSession }),
+      { statusCode: 400, message: 'Order is already confirmed' }
+    );
+  });
+
+  it('refuses customers moves meant for staff', async () => {
+    const order = buildOrder({ status: 'processing' });
+
+    await assert.rejects(
+      transitionOrder(order, 'shipped', { actor: customer, session: callerSession }),
+      { statusCode: 403 }
+    );
+    assert.deepEqual(calls, []);
+  });
+
+  it('runs the side effects and records the change', async () => {
+    const order = buildOrder({ status: 'shipped' });
+
+    await transitionOrder(order, 'delivered', { actor: admin, note: 'Signed for', session: callerSession });
+
+    assert.equal(order.status, 'delivered');
+    assert.equal(order.isDelivered, true);
+    assert.ok(order.deliveredAt);
+    assert.deepEqual(calls, ['mail:shippingUpdate', 'save:delivered']);
+
+    const entry = order.statusHistory[order.statusHistory.length - 1];
+    assert.equal(entry.note, 'Signed for');
+    assert.equal(String(entry.updatedBy), String(admin._id));
+  });
+
+  it('runs in its own transaction without a session', async () => {
+    useOwnSession();
+    const order = buildOrder({ status: 'confirmed' });
+
+    await transitionOrder(order, 'processing', { actor: admin });
+
+    assert.deepEqual(calls, ['startTransaction', 'save:processing', 'commitTransaction']);
+  });
+
+  it('refunds a paid order only after the transaction commits', async () => {
+    useOwnSession();
+    const order = buildOrder({ status: 'confirmed', isPaid: true, stripePaymentIntentId: 'pi_1' });
+
+    await transitionOrder(order, 'cancelled', { actor: customer });
+
+    assert.deepEqual(calls, [
+      'startTransaction',
+      'restoreStock',
+      'closeHold',
+      'releaseCoupons',
+      'save:cancelled',
+      'commitTransaction',
+      `refund:order-${order._id}-cancelled`
+    ]);
+  });
+
+  it('does not refund when the transaction aborts', async () => {
+    useOwnSession();
+    const order = buildOrder({ status: 'confirmed', isPaid: true, stripePaymentIntentId: 'pi_1' });
+    order.save.mock.mockImplementation(async () => { throw new Error('write conflict'); });
+
+    await assert.rejects(transitionOrder(order, 'refunded', { actor: admin }), /write conflict/);
+
+    assert.ok(calls.includes('abortTransaction'));
+    assert.ok(!calls.some(call => call.startsWith('refund:')));
+  });
+
+  it('refuses to refund inside a caller\'s transaction', async () => {
+    const order = buildOrder({ status: 'confirmed', isPaid: true, stripePaymentIntentId: 'pi_1' });
+
+    await assert.rejects(
+      transitionOrder(order, 'refunded', { actor: admin, session: callerSession }),
+      /inside a caller's transaction/
+    );
+    assert.deepEqual(calls, []);
+  });
+});
@@ -0,0 +1,178 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+// refunds.js creates its Stripe client and takes queueOrderMail when it is
+// loaded, so both are replaced first
+const stripe = { refunds: { create: null } };
+require.cache[require.resolve('stripe')] = {
+  id: require.resolve('stripe'),
+  loaded: true,
+  exports: () => stripe
+};
+
+const mail = require('../services/mail');
+const emails = [];
+mail.queueOrderMail = async (template, order, data) => { emails.push({ template, ...data }); };
+
+const Order = require('../models/Order');
+const { refundOrder, reconcileStripeRefund, getRefundedAmount } = require('../services/refunds');
+
+const orderId = new mongoose.Types.ObjectId();
+let stored;
+
+// The order as stored, loaded afresh each time
+const load = () => Order.hydrate(JSON.parse(JSON.stringify(stored)));
+
+const matchesRefund = (filter) => {
+  const id = filter['refunds.stripeRefundId'];
+  return typeof id === 'string' && stored.refunds.some(entry => entry.stripeRefundId === id);
+};
+
+// Just enough of Order's queries for the refund ledger, against `stored`
+const useStore = () => {
+  mock.method(Order, 'findOne', async (filter) => {
+    if (matchesRefund(filter) || filter.stripePaymentIntentId === stored.stripePaymentIntentId) {
+      return load();
+    }
+    return null;
+  });
+
+  mock.method(Order, 'findById', () => {
+    const query = Promise.resolve(load());
+    query.select = async () => load();
+    return query;
+  });
+
+  mock.method(Order, 'updateOne', async (filter, update) => {
+    const guard = filter['refunds.stripeRefundId'];
+    if (guard && guard.$ne) {
+      if (stored.refunds.some(entry => entry.stripeRefundId === guard.$ne)) {
+        return { modifiedCount: 0 };
+      }
+      stored.refunds.push({ _id: new mongoose.Types.ObjectId(), items: [], ...update.$push.refunds });
+      return { modifiedCount: 1 };
+    }
+
+    const { stripeRefundId, status } = filter.refunds.$elemMatch;
+    const entry = stored.refunds.find(existing =>
+      existing.stripeRefundId === stripeRefundId && existing.status !== status.$ne
+    );
+    if (!entry) {
+      return { modifiedCount: 0 };
+    }
+    for (const [path, value] of Object.entries(update.$set)) {
+      entry[path.replace('refunds.$.', '')] = value;
+    }
+    return { modifiedCount: 1 };
+  });
+};
+
+const stripeRefund = (fields = {}) => ({
+  id: 're_1',
+  amount: 500,
+  status: 'succeeded',
+  payment_intent: 'pi_1',
+  metadata: { orderId: String(orderId) },
+  ...fields
+});
+
+beforeEach(() => {
+  mock.restoreAll();
+  emails.length = 0;
+  stored = {
+    _id: orderId,
+    orderNumber: 'SM-TEST',
+    isPaid: true,
+    stripePaymentIntentId: 'pi_1',
+    totalPrice: 20,
+    refunds: []
+  };
+  useStore();
+});
+
+describe('refundOrder', () => {
+  it('writes the refund to the ledger straight away', async () => {
+    stripe.refunds.create = async () => stripeRefund();
+    const order = load();
+
+    const entry = await refundOrder(order, { amount: 5, reason: 'Damaged' });
+
+    assert.equal(entry.stripeRefundId, 're_1');
+    assert.equal(stored.refunds.length, 1);
+    assert.equal(getRefundedAmount(order), 5);
+    assert.equal(order.isModified('refunds'), false);
+    assert.equal(emails.length, 1);
+  });
+
+  it('adds a refund the webhook got to first only once', async () => {
+    stripe.refunds.create = async () => {
+      await reconcileStripeRefund(stripeRefund());
+      return stripeRefund();
+    };
+    const order = load();
+
+    await refundOrder(order, { amount: 5 });
+
+    assert.equal(stored.refunds.length, 1);
+    assert.equal(getRefundedAmount(order), 5);
+    assert.equal(emails.length, 1);
+  });
+
+  it('returns the same entry for an idempotent retry', async () => {
+    stripe.refunds.create = async () => stripeRefund();
+
+    const first = await refundOrder(load(), { amount: 5, idempotencyKey: 'order-1-refunded' });
+    const second = await refundOrder(load(), { amount: 5, idempotencyKey: 'order-1-refunded' });
+
+    assert.equal(String(first._id), String(second._id));
+    assert.equal(stored.refunds.length, 1);
+    assert.equal(emails.length, 1);
+  });
+
+  it('refuses more than is left before calling Stripe', async () => {
+    stripe.refunds.create = mock.fn(async () => stripeRefund());
+    stored.refunds.push({ amount: 18, stripeRefundId: 're_0', reason: 'Earlier', status: 'succeeded' });
+
+    await assert.rejects(refundOrder(load(), { amount: 5 }), {
+      statusCode: 400,
+      details: { refundable: 2 }
+    });
+    assert.equal(stripe.refunds.create.mock.callCount(), 0);
+  });
+});
+
+describe('reconcileStripeRefund', () => {
+  it('settles a pending refund once however often the webhook arrives', async () => {
+    stripe.refunds.create = async () => stripeRefund({ status: 'pending' });
+    await refundOrder(load(), { amount: 5 });
+    assert.equal(emails.length, 0);
+
+    const order = await reconcileStripeRefund(stripeRefund());
+    await reconcileStripeRefund(stripeRefund());
+
+    assert.equal(stored.refunds.length, 1);
+    assert.equal(stored.refunds[0].status, 'succeeded');
+    assert.equal(order.refunds[0].status, 'succeeded');
+    assert.equal(emails.length, 1);
+  });
+
+  it('adds refunds made in the Stripe dashboard', async () => {
+    const refund = stripeRefund({ id: 're_dashboard', metadata: {} });
+
+    const order = await reconcileStripeRefund(refund);
+    await reconcileStripeRefund(refund);
+
+    assert.equal(stored.refunds.length, 1);
+    assert.equal(stored.refunds[0].reason, 'Refunded in Stripe');
+    assert.equal(getRefundedAmount(order), 5);
+    assert.equal(emails.length, 1);
+  });
+
+  it('ignores refunds for unknown orders', async () => {
+    const refund = stripeRefund({ id: 're_other', payment_intent: 'pi_other', metadata: {} });
+
+    assert.equal(await reconcileStripeRefund(refund), null);
+    assert.equal(stored.refunds.length, 0);
+  });
+});
@@ -0,0 +1,78 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { generateSecret, generateCode, verifyCode, getProvisioningUri } = require('../utils/totp');
+
+// The SHA-1 seed from RFC 6238 appendix B, "12345678901234567890", base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+// Appendix B's test times with the last six digits of its eight digit codes
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130']
+];
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('generateCode', () => {
+  for (const [seconds, code] of RFC_VECTORS) {
+    it(`matches RFC 6238 at ${seconds}s`, () => {
+      assert.equal(generateCode(RFC_SECRET, Math.floor(seconds / 30)), code);
+    });
+  }
+
+  it('defaults to the current time step', () => {
+    mock.method(Date, 'now', () => 1111111109 * 1000);
+
+    assert.equal(generateCode(RFC_SECRET), '081804');
+  });
+});
+
+describe('verifyCode', () => {
+  it('accepts codes within a step of the current one', () => {
+    mock.method(Date, 'now', () => 1111111111 * 1000);
+    const step = Math.floor(1111111111 / 30);
+
+    assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1)), step - 1);
+    assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step)), step);
+    assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1)), step + 1);
+    assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2)), null);
+  });
+
+  it('ignores spaces in the code', () => {
+    mock.method(Date, 'now', () => 59 * 1000);
+
+    assert.equal(verifyCode(RFC_SECRET, '287 082'), 1);
+  });
+
+  it('rejects codes that are not six digits', () => {
+    assert.equal(verifyCode(RFC_SECRET, '12345'), null);
+    assert.equal(verifyCode(RFC_SECRET, 'abcdef'), null);
+    assert.equal(verifyCode(RFC_SECRET, undefined), null);
+  });
+});
+
+describe('generateSecret', () => {
+  it('makes a 160 bit base32 secret', () => {
+    assert.match(generateSecret(), /^[A-Z2-7]{32}$/);
+    assert.notEqual(generateSecret(), generateSecret());
+  });
+});
+
+describe('getProvisioningUri', () => {
+  it('describes the secret for authenticator apps', () => {
+    const uri = new URL(getProvisioningUri(RFC_SECRET, 'jane@example.com', 'SalesMart'));
+
+    assert.equal(uri.protocol, 'otpauth:');
+    assert.equal(uri.host, 'totp');
+    assert.equal(decodeURIComponent(uri.pathname), '/SalesMart:jane@example.com');
+    assert.equal(uri.searchParams.get('secret'), RFC_SECRET);
+    assert.equal(uri.searchParams.get('digits'), '6');
+    assert.equal(uri.searchParams.get('period'), '30');
+  });
+});
@@ -0,0 +1,27 @@
+// Country names accepted in addresses, mapped to ISO codes
+const countryAliases = {
+  'united states': 'US',
+  'united states of america': 'US',
+  usa: 'US',
+  canada: 'CA',
+  'united kingdom': 'GB',
+  germany: 'DE'
+};
+
+// Normalise an address country to its ISO code
+const normalizeCountry = (country = '') => {
+  const value = country.trim();
+  return countryAliases[value.toLowerCase()] || value.toUpperCase();
+};
+
+// Normalise the parts of an address used for tax and shipping rules
+const normalizeAddress = (address = {}) => ({
+  country: normalizeCountry(address.country),
+  state: (address.state || '').trim().toUpperCase(),
+  zipCode: (address.zipCode || '').trim()
+});
+
+module.exports = {
+  normalizeCountry,
+  normalizeAddress
+};
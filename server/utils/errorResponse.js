@@ -0,0 +1,11 @@
+// Error carrying an HTTP status code (and optional extra payload) so route
+// handlers can throw from helpers and still answer with the right response
+class ErrorResponse extends Error {
+  constructor(message, statusCode, details) {
+    super(message);
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+module.exports = ErrorResponse;
@@ -0,0 +1,6 @@
+// Round a currency amount to cents
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+module.exports = {
+  roundPrice
+};
@@ -0,0 +1,25 @@
+const jwt = require('jsonwebtoken');
+
+// Signed tokens that grant access to one thing, such as a guest's cart or
+// order. The purpose claim stops them being accepted as login tokens or in
+// place of each other.
+const signScopedToken = (purpose, subject, expiresIn) => {
+  return jwt.sign({ purpose, sub: String(subject) }, process.env.JWT_SECRET, { expiresIn });
+};
+
+// Returns the token's subject, or throws if the token is invalid, expired
+// or was issued for another purpose
+const verifyScopedToken = (token, purpose) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (decoded.purpose !== purpose) {
+    throw new jwt.JsonWebTokenError(`Token was not issued for ${purpose} access`);
+  }
+
+  return decoded.sub;
+};
+
+module.exports = {
+  signScopedToken,
+  verifyScopedToken
+};
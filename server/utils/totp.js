@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+
+// Time-based one-time passwords (RFC 6238) as used by authenticator apps:
+// six digits, a 30 second step and SHA-1
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (encoded) => {
+  let bits = '';
+  for (const char of encoded.replace(/=+$/, '').toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    bits += index.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// A new random secret, base32 encoded for authenticator apps
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// The time step a moment falls in
+const getStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+// The code for one time step
+const generateCode = (secret, step = getStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+// The time step a code was generated for, allowing `window` steps of clock
+// drift either way, or null if the code does not match
+const verifyCode = (secret, code, window = 1) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const current = getStep();
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+// otpauth:// URI to show as a QR code for authenticator apps to scan
+const getProvisioningUri = (secret, accountName, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  getProvisioningUri
+};
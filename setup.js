@@ -11,8 +11,8 @@ console.log('=====================================\n');
 const nodeVersion = process.version;
 const majorVersion = parseInt(nodeVersion.slice(1).split('.')[0]);
 
-if (majorVersion < 16) {
-  console.error('❌ Node.js version 16 or higher is required');
+if (majorVersion < 18) {
+  console.error('❌ Node.js version 18 or higher is required');
   console.error(`   Current version: ${nodeVersion}`);
   process.exit(1);
 }
@@ -45,7 +45,70 @@ function createEnvFile() {
 PORT=5000
 MONGODB_URI=mongodb://localhost:27017/salesmart
 JWT_SECRET=your_super_secret_jwt_key_here_${Math.random().toString(36).substring(2)}
-JWT_EXPIRE=30d
+JWT_ACCESS_EXPIRE=15m
+REFRESH_TOKEN_DAYS=30
+
+# Email verification (REQUIRE_VERIFIED_EMAIL lists actions blocked until
+# the email is verified: checkout, reviews)
+EMAIL_VERIFICATION_HOURS=24
+REQUIRE_VERIFIED_EMAIL=
+
+# Require admins to enable two-factor authentication before using /api/admin
+REQUIRE_ADMIN_2FA=false
+
+# Failed login and password reset attempts: waits grow after AUTH_BACKOFF_AFTER
+# failures, and accounts (or IPs) lock at the max, each lockout twice as long
+AUTH_BACKOFF_AFTER=3
+AUTH_MAX_FAILURES=10
+AUTH_IP_MAX_FAILURES=50
+AUTH_LOCKOUT_MINUTES=15
+
+# Password policy. Classes: lowercase, uppercase, digit, symbol. PASSWORD_HISTORY
+# is how many recent passwords cannot be reused. Common passwords are listed in
+# server/config/commonPasswords.txt
+PASSWORD_MIN_LENGTH=10
+PASSWORD_REQUIRED_CLASSES=lowercase,uppercase,digit
+PASSWORD_HISTORY=5
+PASSWORD_REJECT_COMMON=true
+
+# Hold new product reviews for moderation before they are shown (edited
+# reviews always are)
+REVIEWS_REQUIRE_APPROVAL=true
+
+# Account deletion: days to restore a deleted account before it is erased
+ACCOUNT_DELETION_GRACE_DAYS=14
+ACCOUNT_ERASURE_SWEEP_MINUTES=60
+
+# Lifetime of the access token an admin gets when impersonating a customer
+IMPERSONATION_MINUTES=15
+
+# Social login (a provider is offered once its client ID is set). The provider
+# redirects back to OAUTH_REDIRECT_URI (default CLIENT_URL/oauth/callback).
+# npm run mock-oidc starts a local issuer for OIDC_ISSUER=http://localhost:4010
+OAUTH_REDIRECT_URI=
+GOOGLE_CLIENT_ID=
+GOOGLE_CLIENT_SECRET=
+GITHUB_CLIENT_ID=
+GITHUB_CLIENT_SECRET=
+OIDC_NAME=Single sign-on
+OIDC_ISSUER=
+OIDC_CLIENT_ID=
+OIDC_CLIENT_SECRET=
+
+# Inventory
+STOCK_HOLD_MINUTES=30
+STOCK_HOLD_SWEEP_SECONDS=60
+RETURN_WINDOW_DAYS=30
+GUEST_CART_DAYS=30
+
+# Tax (local uses the table in server/config/taxRates.js)
+TAX_PROVIDER=local
+
+# Abandoned cart emails (coupon percent 0 sends them without a coupon)
+ABANDONED_CART_HOURS=24
+ABANDONED_CART_SWEEP_MINUTES=60
+ABANDONED_CART_LINK_DAYS=7
+ABANDONED_CART_COUPON_PERCENT=10
 
 # Stripe Configuration
 STRIPE_SECRET_KEY=sk_test_your_stripe_secret_key
@@ -62,6 +125,14 @@ EMAIL_HOST=smtp.gmail.com
 EMAIL_PORT=587
 EMAIL_USER=your_email@gmail.com
 EMAIL_PASS=your_app_password
+EMAIL_FROM=SalesMart <no-reply@salesmart.com>
+# smtp sends through EMAIL_HOST; file writes each email as JSON to MAIL_OUTPUT_DIR; json only renders
+MAIL_TRANSPORT=file
+MAIL_OUTPUT_DIR=./tmp/mail
+MAIL_MAX_ATTEMPTS=5
+MAIL_OUTBOX_SWEEP_SECONDS=30
+# Low stock alerts (defaults to every admin)
+ADMIN_ALERT_EMAIL=
 
 # Client URL
 CLIENT_URL=http://localhost:3000`;
@@ -97,8 +168,8 @@ async function setup() {
     console.log('   Backend API: http://localhost:5000');
     console.log('   API Health: http://localhost:5000/api/health');
     console.log('\n🔑 Default credentials (after seeding):');
-    console.log('   Admin: admin@salesmart.com / admin123');
-    console.log('   User: john.doe@email.com / password123');
+    console.log('   Admin: admin@salesmart.com / SalesMart-Admin-2024');
+    console.log('   User: john.doe@email.com / SalesMart-Demo-2024');
     console.log('\n📚 Documentation: See README.md for detailed instructions');
 
   } catch (error) {